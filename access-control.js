@@ -0,0 +1,434 @@
+/**
+ * Access Control - Owner, editor and viewer roles, enforced by every peer
+ *
+ * Whoever creates a room holds its owner key (ECDSA P-256). The public half
+ * goes into every share link next to the room secret (`#...&owner=`), the
+ * private half stays in the owner's browser. Roles are grants signed with it:
+ * - an invite, `{ room, role }`, travels in a share link (`&invite=`). A
+ *   tab that opens the link sends it to the owner's tab only, which trades
+ *   it for a site grant with that role
+ * - a site grant, `{ room, siteId, role, issuedAt }`, is how the owner
+ *   lets one participant in, promotes, demotes or removes them; the newest
+ *   one wins. Peers only honour site grants.
+ *
+ * Every tab also has its own signing key, and its site id is a hash of the
+ * public half (SiteIdentity). The key is kept per room in IndexedDB, so a
+ * reload keeps the site id and the grant that goes with it. All its messages
+ * are signed, and presence carries the public key and the tab's grant, so
+ * peers can check who really sent a message and what that sender may do.
+ * Saved versions are signed too, since other peers pass them on to
+ * newcomers (see VersionHistory). Invites never go in presence:
+ * anyone in the room could copy them. SyncEngine drops document
+ * changes from anyone who is not an owner or editor, and every message from
+ * removed participants.
+ *
+ * Until the owner's tab has let it in, a tab is a viewer, whatever its link
+ * says. Grants take effect on each peer when it receives them. An edit made at the
+ * same moment someone is demoted can still reach peers that had not heard of
+ * the demotion yet; it spreads to the rest through the usual sync.
+ * Removing someone only drops that tab. Anyone who keeps an editor link can
+ * come back, so to lock people out for good, start a new room.
+ */
+
+class SiteIdentity {
+    constructor(siteId, publicKey, privateKey) {
+        this.siteId = siteId;
+        this.publicKey = publicKey; // Base64 SPKI, sent in presence
+        this.privateKey = privateKey; // Non-extractable signing key
+
+        this.leaseKey = null; // localStorage key marking it as taken (see claim)
+        this.leaseToken = null;
+        this.leaseTimer = null;
+    }
+
+    // This browser's identity for a room. A tab takes one an earlier tab left
+    // behind when there is one, so a reload keeps its site id (and with it
+    // its grant and its outbox). Tabs open at the same time each need their
+    // own, so a tab holds its identity with a lease in localStorage that it
+    // renews while it runs and drops when it closes; a crashed tab's lease
+    // simply runs out. Without IndexedDB every tab gets a new identity.
+    // Identities `prefer(siteId)` picks are tried first.
+    static async claim(room, prefer = () => false) {
+        let db;
+        try {
+            db = await SiteIdentity.openStore();
+        } catch (error) {
+            return SiteIdentity.create();
+        }
+
+        const records = await SiteIdentity.request(
+            db.transaction('identities', 'readonly').objectStore('identities').index('room').getAll(room)
+        );
+        records.sort((a, b) => prefer(b.siteId) - prefer(a.siteId));
+        for (const record of records) {
+            const identity = new SiteIdentity(record.siteId, record.publicKey, record.privateKey);
+            if (await identity.take(room)) return identity;
+        }
+
+        const identity = await SiteIdentity.create();
+        await SiteIdentity.request(db.transaction('identities', 'readwrite').objectStore('identities').put({
+            siteId: identity.siteId,
+            room,
+            publicKey: identity.publicKey,
+            privateKey: identity.privateKey // Stored as a CryptoKey, still non-extractable
+        }));
+        await identity.take(room);
+        return identity;
+    }
+
+    static openStore() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('No IndexedDB'));
+                return;
+            }
+            const request = indexedDB.open(SiteIdentity.dbName, 1);
+            request.onupgradeneeded = () => {
+                const identities = request.result.createObjectStore('identities', { keyPath: 'siteId' });
+                identities.createIndex('room', 'room');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    static request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Take the lease unless a running tab holds it. Two tabs starting at
+    // once may both write theirs; whichever wrote last keeps it.
+    async take(room) {
+        this.leaseKey = `collab-identity-${room}-${this.siteId}`;
+        const lease = this.readLease();
+        if (lease && Date.now() - lease.renewedAt < SiteIdentity.leaseFor) return false;
+
+        const token = Math.random().toString(36).substring(2);
+        this.writeLease(token);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        const current = this.readLease();
+        if (!current || current.token !== token) return false;
+
+        this.leaseToken = token;
+        this.leaseTimer = setInterval(() => this.writeLease(token), SiteIdentity.leaseFor / 3);
+        return true;
+    }
+
+    readLease() {
+        try {
+            const lease = JSON.parse(localStorage.getItem(this.leaseKey));
+            return lease && typeof lease.token === 'string' && typeof lease.renewedAt === 'number' ? lease : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    writeLease(token) {
+        localStorage.setItem(this.leaseKey, JSON.stringify({ token, renewedAt: Date.now() }));
+    }
+
+    // Free the identity for the next tab (on unload)
+    release() {
+        clearInterval(this.leaseTimer);
+        const lease = this.leaseKey && this.readLease();
+        if (lease && lease.token === this.leaseToken) {
+            localStorage.removeItem(this.leaseKey);
+        }
+    }
+
+    static async create() {
+        const pair = await crypto.subtle.generateKey(
+            { name: 'ECDSA', namedCurve: 'P-256' },
+            false,
+            ['sign', 'verify']
+        );
+        const spki = await crypto.subtle.exportKey('spki', pair.publicKey);
+        const publicKey = RoomCrypto.toBase64(new Uint8Array(spki));
+        return new SiteIdentity(await SiteIdentity.fingerprint(publicKey), publicKey, pair.privateKey);
+    }
+
+    // Site ids are derived from the public key, so nobody can take over
+    // another tab's id without its private key
+    static async fingerprint(publicKey) {
+        const hash = await crypto.subtle.digest('SHA-256', RoomCrypto.fromBase64(publicKey));
+        const hex = Array.from(new Uint8Array(hash).subarray(0, 12), byte => byte.toString(16).padStart(2, '0'));
+        return `user-${hex.join('')}`;
+    }
+}
+
+class AccessControl {
+    constructor(room, ownerPublicKey, identity, options = {}) {
+        this.room = room;
+        this.ownerPublicKey = ownerPublicKey; // CryptoKey that verifies grants
+        this.identity = identity;
+        this.ownerPrivateKey = options.ownerPrivateKey || null; // Only in the owner's browser
+        this.invite = null; // The invite this tab joined with, once verified
+        this.onRoleChange = options.onRoleChange || null; // (siteId, role)
+
+        this.keys = new Map(); // siteId -> public key its messages are checked with
+        this.grants = new Map(); // siteId -> newest site grant from the owner
+    }
+
+    // ownerKey is the base64 owner public key from the share link.
+    // Without the owner's private key the tab keeps `invite` to trade with
+    // the owner (see exchangeInvite).
+    static async create(room, ownerKey, identity, options = {}) {
+        const ownerPublicKey = await AccessControl.importPublicKey(ownerKey);
+        const access = new AccessControl(room, ownerPublicKey, identity, options);
+
+        access.keys.set(identity.siteId, await AccessControl.importPublicKey(identity.publicKey));
+
+        if (access.ownerPrivateKey) {
+            await access.applyGrant(await access.signGrant({ siteId: identity.siteId, role: 'owner' }));
+        } else {
+            // A grant kept from an earlier tab with this identity (see SiteIdentity.claim)
+            if (options.grant && options.grant.siteId === identity.siteId) {
+                await access.applyGrant(options.grant);
+            }
+            if (!access.grants.has(identity.siteId) && options.invite && await access.verifyGrant(options.invite, false)) {
+                access.invite = options.invite;
+            }
+        }
+        return access;
+    }
+
+    // A new owner key pair for a new room
+    static async createOwnerKey() {
+        const pair = await crypto.subtle.generateKey(
+            { name: 'ECDSA', namedCurve: 'P-256' },
+            true,
+            ['sign', 'verify']
+        );
+        const spki = await crypto.subtle.exportKey('spki', pair.publicKey);
+        return {
+            publicKey: RoomCrypto.toBase64(new Uint8Array(spki)),
+            privateJwk: await crypto.subtle.exportKey('jwk', pair.privateKey)
+        };
+    }
+
+    static importOwnerPrivateKey(jwk) {
+        return crypto.subtle.importKey('jwk', jwk, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['sign']);
+    }
+
+    static importPublicKey(publicKey) {
+        return crypto.subtle.importKey(
+            'spki',
+            RoomCrypto.fromBase64(publicKey),
+            { name: 'ECDSA', namedCurve: 'P-256' },
+            false,
+            ['verify']
+        );
+    }
+
+    role(siteId) {
+        const grant = this.grants.get(siteId);
+        return grant ? grant.role : 'viewer';
+    }
+
+    canEdit(siteId) {
+        const role = this.role(siteId);
+        return role === 'owner' || role === 'editor';
+    }
+
+    isOwner() {
+        return this.ownerPrivateKey !== null;
+    }
+
+    // Whether we still have an invite to trade for a grant of our own
+    needsGrant() {
+        return this.invite !== null && !this.grants.has(this.identity.siteId);
+    }
+
+    // Added to our presence so peers can verify us
+    credentials() {
+        return {
+            publicKey: this.identity.publicKey,
+            grant: this.grants.get(this.identity.siteId) || null
+        };
+    }
+
+    // Every site grant we know, for peers that just joined
+    getGrants() {
+        return Array.from(this.grants.values());
+    }
+
+    // Signed over everything but the fields transports and the relay add
+    static signedContent(message) {
+        const { signature, targetId, relaySeq, ...signed } = message;
+        return new TextEncoder().encode(JSON.stringify(signed));
+    }
+
+    static grantContent(grant) {
+        return new TextEncoder().encode(JSON.stringify([
+            grant.room, grant.siteId || null, grant.role, grant.issuedAt || 0
+        ]));
+    }
+
+    static async sign(privateKey, data) {
+        const signature = await crypto.subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, privateKey, data);
+        return RoomCrypto.toBase64(new Uint8Array(signature));
+    }
+
+    static verify(publicKey, signature, data) {
+        return crypto.subtle.verify(
+            { name: 'ECDSA', hash: 'SHA-256' },
+            publicKey,
+            RoomCrypto.fromBase64(signature),
+            data
+        );
+    }
+
+    async signMessage(message) {
+        const signature = await AccessControl.sign(this.identity.privateKey, AccessControl.signedContent(message));
+        return { ...message, signature };
+    }
+
+    // A version with its author's key and signature, so whoever forwards it
+    // later cannot change it or claim someone else saved it
+    async signVersion(version) {
+        const signed = { ...version, publicKey: this.identity.publicKey };
+        signed.signature = await AccessControl.sign(this.identity.privateKey, AccessControl.versionContent(signed));
+        return signed;
+    }
+
+    // Whether a version was really saved by its authorId, whoever sent it
+    async verifyVersion(version) {
+        try {
+            if (typeof version.publicKey !== 'string' || typeof version.signature !== 'string') return false;
+            if (await SiteIdentity.fingerprint(version.publicKey) !== version.authorId) return false;
+            const key = await AccessControl.importPublicKey(version.publicKey);
+            return await AccessControl.verify(key, version.signature, AccessControl.versionContent(version));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    static versionContent(version) {
+        return new TextEncoder().encode(JSON.stringify([
+            version.id, version.name, version.auto, version.author, version.authorId,
+            version.createdAt, version.text, version.vectorClock
+        ]));
+    }
+
+    // Whether a message really comes from its siteId and that site may
+    // still talk to us. A site's key is learned from its presence.
+    async verifyMessage(message) {
+        try {
+            if (typeof message.signature !== 'string') return false;
+
+            let key = this.keys.get(message.siteId);
+            if (!key) {
+                if (message.type !== 'presence' || typeof message.publicKey !== 'string') return false;
+                if (await SiteIdentity.fingerprint(message.publicKey) !== message.siteId) return false;
+                key = await AccessControl.importPublicKey(message.publicKey);
+            }
+
+            if (!await AccessControl.verify(key, message.signature, AccessControl.signedContent(message))) {
+                return false;
+            }
+            this.keys.set(message.siteId, key);
+
+            if (message.type === 'presence') {
+                await this.admit(message);
+            }
+            return this.role(message.siteId) !== 'removed';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Take a peer's role from the grant in its presence
+    async admit(presence) {
+        if (presence.grant) {
+            await this.applyGrant(presence.grant);
+        }
+    }
+
+    // Check the owner's signature. Site grants name a site; invites do not.
+    async verifyGrant(grant, forSite) {
+        try {
+            if (!grant || grant.room !== this.room || !['owner', 'editor', 'viewer', 'removed'].includes(grant.role)) return false;
+            if (forSite !== (typeof grant.siteId === 'string')) return false;
+            if (typeof grant.signature !== 'string') return false;
+            return await AccessControl.verify(this.ownerPublicKey, grant.signature, AccessControl.grantContent(grant));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Returns true if the grant was new
+    async applyGrant(grant) {
+        if (!await this.verifyGrant(grant, true)) return false;
+
+        const current = this.grants.get(grant.siteId);
+        if (current && current.issuedAt >= grant.issuedAt) return false;
+
+        const before = this.role(grant.siteId);
+        this.grants.set(grant.siteId, grant);
+        if (grant.role !== before && this.onRoleChange) {
+            this.onRoleChange(grant.siteId, grant.role);
+        }
+        return true;
+    }
+
+    async signGrant(fields) {
+        if (!this.ownerPrivateKey) {
+            throw new Error('Only the room owner can grant roles');
+        }
+        const grant = { room: this.room, ...fields };
+        if (grant.siteId) {
+            grant.issuedAt = Date.now();
+        }
+        grant.signature = await AccessControl.sign(this.ownerPrivateKey, AccessControl.grantContent(grant));
+        return grant;
+    }
+
+    // Promote, demote or remove one participant (owner only)
+    async grant(siteId, role) {
+        const grant = await this.signGrant({ siteId, role });
+        await this.applyGrant(grant);
+        return grant;
+    }
+
+    // Let a site in with the role its invite gives (owner only). A site
+    // that already has a grant keeps it, so an old invite cannot undo a
+    // demotion or removal; that grant is returned to be sent again.
+    // Returns null for invites that do not verify.
+    async exchangeInvite(siteId, invite) {
+        const current = this.grants.get(siteId);
+        if (current) return current;
+        if (!await this.verifyGrant(invite, false)) return null;
+        return this.grant(siteId, invite.role);
+    }
+
+    // A link token giving `role` to whoever opens it (owner only)
+    async createInvite(role) {
+        return AccessControl.encodeToken(await this.signGrant({ role }));
+    }
+
+    static encodeToken(grant) {
+        return RoomCrypto.toBase64(new TextEncoder().encode(JSON.stringify(grant)))
+            .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    // Null for anything that does not parse; the signature is checked later
+    static decodeToken(token) {
+        try {
+            const base64 = token.replace(/-/g, '+').replace(/_/g, '/');
+            return JSON.parse(new TextDecoder().decode(RoomCrypto.fromBase64(base64)));
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+SiteIdentity.dbName = 'collabcode-identities';
+SiteIdentity.leaseFor = 15 * 1000; // A tab that stops renewing its lease this long has closed
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SiteIdentity, AccessControl };
+}
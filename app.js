@@ -5,40 +5,185 @@
 
 class CollabCodeApp {
     constructor() {
-        // Generate unique site ID for this user/session
-        this.siteId = this.generateSiteId();
+        // Room from the share link (?session=), or a new one
+        this.sessionId = this.getSessionFromURL();
+        this.roomSecret = this.getRoomSecret();
         this.userName = this.generateUserName();
         this.userColor = this.generateUserColor();
-        
-        // Initialize CRDT
-        this.crdt = new CRDT(this.siteId);
-        
+
+        // Keys come first: this tab's site ID is derived from its signing key
+        this.ready = this.setupSecurity().then(() => {
+            // Initialize CRDT
+            this.crdt = new CRDT(this.siteId);
+
+            // Load whatever this browser saved for the room before meeting any
+            // peers, so they only need to send us what we missed
+            this.store = new DocumentStore(this.sessionId, this.siteId);
+            return this.store.restore(this.crdt);
+        }).then(restored => this.start(restored));
+    }
+
+    // Room key, this tab's signing identity and its role. Pages without
+    // WebCrypto (plain http:// anywhere but localhost) get none of them.
+    async setupSecurity() {
+        this.roomCrypto = null;
+        this.identity = null;
+        this.accessControl = null;
+        this.shareInvites = null; // Owner only: { editor, viewer } link tokens
+
+        try {
+            this.roomCrypto = await RoomCrypto.fromSecret(this.roomSecret, this.sessionId);
+            // Identities with unsent edits go first, so those get sent
+            this.identity = await SiteIdentity.claim(this.sessionId, siteId => SyncEngine.hasOutbox(this.sessionId, siteId));
+            this.accessControl = await this.createAccessControl();
+
+            if (this.accessControl && this.accessControl.isOwner()) {
+                this.shareInvites = {
+                    editor: await this.accessControl.createInvite('editor'),
+                    viewer: await this.accessControl.createInvite('viewer')
+                };
+            }
+        } catch (error) {
+            console.error('🔒 End-to-end encryption unavailable:', error);
+            this.roomCrypto = null;
+        }
+
+        // Unique per open tab, so tabs of one browser are separate peers
+        this.siteId = this.identity ? this.identity.siteId : this.generateSiteId();
+    }
+
+    // The owner's public key travels in the link fragment (#owner=) like the
+    // room secret, and an invite (#invite=) says what the link lets you do.
+    // Both are remembered per room. Creating a room makes a new owner key,
+    // whose private half never leaves this browser.
+    async createAccessControl() {
+        const hash = new URLSearchParams(window.location.hash.substring(1));
+        const ownerStorageKey = `collab-owner-${this.sessionId}`;
+        const inviteStorageKey = `collab-invite-${this.sessionId}`;
+        this.grantStorageKey = `collab-grant-${this.sessionId}-${this.identity.siteId}`;
+        const stored = JSON.parse(localStorage.getItem(ownerStorageKey) || 'null');
+
+        let ownerKey = hash.get('owner') || (stored && stored.publicKey);
+        let privateJwk = stored && stored.publicKey === ownerKey ? stored.privateJwk : null;
+        if (!ownerKey && this.isNewRoom) {
+            ({ publicKey: ownerKey, privateJwk } = await AccessControl.createOwnerKey());
+        }
+        if (!ownerKey) {
+            return null; // A room from before roles existed: everyone edits
+        }
+
+        localStorage.setItem(ownerStorageKey, JSON.stringify(privateJwk ? { publicKey: ownerKey, privateJwk } : { publicKey: ownerKey }));
+        if (hash.get('invite')) {
+            localStorage.setItem(inviteStorageKey, hash.get('invite'));
+        }
+        hash.set('owner', ownerKey);
+        window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}#${hash}`);
+
+        // A link with an invite joins as the invite says, even in the
+        // owner's browser, so roles can be tried out in tabs
+        const token = hash.get('invite') || localStorage.getItem(inviteStorageKey);
+        const ownerPrivateKey = privateJwk && !hash.get('invite')
+            ? await AccessControl.importOwnerPrivateKey(privateJwk)
+            : null;
+
+        return AccessControl.create(this.sessionId, ownerKey, this.identity, {
+            ownerPrivateKey,
+            invite: token ? AccessControl.decodeToken(token) : null,
+            grant: this.loadGrant(),
+            onRoleChange: (siteId, role) => this.handleRoleChange(siteId, role)
+        });
+    }
+
+    // The owner's grant for this identity, kept so a reload does not have to
+    // wait for the owner again
+    loadGrant() {
+        try {
+            return JSON.parse(localStorage.getItem(this.grantStorageKey));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    start(restored) {
+        this.rejectedPeers = new Set(); // Peers whose messages failed to decrypt
+
         // Initialize sync engine
         this.syncEngine = new SyncEngine(
             this.crdt,
             (op) => this.handleRemoteOperation(op),
             (siteId, position, selection) => this.handleCursorUpdate(siteId, position, selection),
             (peerId) => this.handlePeerJoin(peerId),
-            (peerId) => this.handlePeerLeave(peerId)
+            (peerId) => this.handlePeerLeave(peerId),
+            (peerId, operation) => this.handleDeliveryFailed(peerId, operation),
+            this.createTransport(),
+            this.sessionId,
+            this.accessControl
         );
+        this.syncEngine.onIncompatiblePeer = (peerId, version) => this.handleIncompatiblePeer(peerId, version);
+        // ?binary sends operation batches in the binary encoding; peers read either
+        this.syncEngine.binaryFrames = new URLSearchParams(window.location.search).has('binary');
         
         // Initialize editor
         const textarea = document.getElementById('editor');
         this.editor = new EditorController(textarea, this.crdt, this.syncEngine);
+
+        // Names, colours and activity, shared with the room
+        this.awareness = new Awareness(
+            this.syncEngine,
+            { name: this.userName.substring(0, 64), color: this.userColor },
+            { onChange: (siteId, state, previous) => this.handleAwarenessChange(siteId, state, previous) }
+        );
+        this.trackActivity(textarea);
         
         // Remote cursors
         this.remoteCursors = new Map();
         
-        // UI state
-        this.undoStack = [];
-        this.redoStack = [];
+        // Selective undo: only this user's own edits
+        this.undoManager = new UndoManager(this.crdt, {
+            onChange: () => this.updateUndoButtons()
+        });
+
+        // Named and automatic versions, shared with the room
+        this.history = new VersionHistory(
+            this.crdt,
+            this.syncEngine,
+            this.store,
+            { name: this.userName, siteId: this.siteId },
+            { onChange: (version, fromPeer) => this.handleVersionAdded(version, fromPeer) }
+        );
+        this.previewVersionId = null;
+        this.history.load().then(() => this.renderVersionList());
+
+        // Authorship, off until toggled
+        this.blame = new BlameGutter(
+            document.getElementById('blameGutter'),
+            textarea,
+            this.crdt,
+            (siteId) => this.describeAuthor(siteId)
+        );
         
         this.setupUI();
+        this.applyOwnRole();
         this.startUpdateLoop();
+
+        if (restored) {
+            this.editor.setValue(this.crdt.getText());
+        }
         
         // Log initialization
         this.logOperation('System initialized');
+        if (restored) {
+            this.logOperation(`Restored ${this.crdt.getText().length} characters saved in this browser`);
+        }
         this.logOperation(`Site ID: ${this.siteId.substring(0, 20)}...`);
+        if (!this.roomCrypto) {
+            this.logOperation('🔒 Encryption needs HTTPS or localhost; working offline only', 'error');
+        } else if (this.accessControl) {
+            this.logOperation(`Joined as ${this.accessControl.role(this.siteId)}`);
+            if (this.accessControl.needsGrant() && this.accessControl.invite.role !== 'viewer') {
+                this.logOperation(`Waiting for the room owner to let you in as ${this.accessControl.invite.role}`);
+            }
+        }
         
         console.log('╔════════════════════════════════════════╗');
         console.log('║   CollabCode Initialized Successfully ║');
@@ -47,7 +192,7 @@ class CollabCodeApp {
         console.log('📌 User Name:', this.userName);
         console.log('📌 Session ID:', this.syncEngine.sessionId);
         console.log('');
-        console.log('💡 Open this same URL in another tab to test collaboration!');
+        console.log('💡 Open this same URL (with its ?session=) in another tab to test collaboration!');
         console.log('💡 Type in one tab and watch it appear in the other!');
         console.log('');
         console.log('🔧 Debug Commands:');
@@ -56,6 +201,78 @@ class CollabCodeApp {
         console.log('   window.DEBUG_MODE = true     - Enable verbose logging');
     }
 
+    // Tabs of one browser sync directly. With ?relay=ws://host:port (or a
+    // bare ?relay when the page is served by the relay) we go through the
+    // WebSocket relay instead, which also reaches other machines.
+    // ?p2p switches to a WebRTC mesh, using either of those for signaling.
+    // Everything is end-to-end encrypted with the room key; the signaling too,
+    // so a relay cannot slip itself into a WebRTC handshake.
+    createTransport() {
+        // Without a key we never send plaintext: a private network of one
+        if (!this.roomCrypto) {
+            return new InMemoryTransport(new InMemoryNetwork());
+        }
+
+        const params = new URLSearchParams(window.location.search);
+        const encrypt = (inner) => new EncryptedTransport(
+            inner,
+            this.roomCrypto,
+            (peerId) => this.handleRejectedMessage(peerId)
+        );
+        let transport = Transport.createDefault(this.sessionId);
+
+        if (params.has('relay')) {
+            const scheme = window.location.protocol === 'https:' ? 'wss' : 'ws';
+            this.relayUrl = params.get('relay') || `${scheme}://${window.location.host}`;
+            transport = new WebSocketTransport(this.relayUrl, this.sessionId);
+        }
+
+        if (params.has('p2p')) {
+            this.useP2P = true;
+            transport = new WebRTCTransport(encrypt(transport));
+        }
+        return encrypt(transport);
+    }
+
+    // The room secret lives in the URL fragment (#key=), which browsers never
+    // send to a server. It is remembered per room so reopening the room
+    // without the fragment still works; a new room gets a new secret.
+    getRoomSecret() {
+        const hash = new URLSearchParams(window.location.hash.substring(1));
+        const storageKey = `collab-key-${this.sessionId}`;
+
+        let secret = hash.get('key');
+        if (!RoomCrypto.isValidSecret(secret)) {
+            secret = localStorage.getItem(storageKey);
+        }
+        if (!RoomCrypto.isValidSecret(secret)) {
+            secret = RoomCrypto.generateSecret();
+        }
+
+        localStorage.setItem(storageKey, secret);
+        hash.set('key', secret);
+        window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}#${hash}`);
+        return secret;
+    }
+
+    // Join the room named in the URL. Without one we start a new room and
+    // write it into the address bar, so a refresh or a copied URL lands in
+    // the same room.
+    getSessionFromURL() {
+        const params = new URLSearchParams(window.location.search);
+        const session = params.get('session');
+        if (session && /^[A-Za-z0-9_-]{1,64}$/.test(session)) {
+            this.isNewRoom = false;
+            return session;
+        }
+
+        const sessionId = SyncEngine.generateSessionId();
+        params.set('session', sessionId);
+        window.history.replaceState(null, '', `${window.location.pathname}?${params}${window.location.hash}`);
+        this.isNewRoom = true;
+        return sessionId;
+    }
+
     generateSiteId() {
         // Generate unique ID for THIS TAB/SESSION
         // Each tab needs a different ID to detect peers
@@ -82,11 +299,33 @@ class CollabCodeApp {
     }
 
     generateUserColor() {
-        const colors = [
-            '#00ff41', '#ff0080', '#00ffff', '#ffff00', 
-            '#ff00ff', '#00ff00', '#ff6600', '#0080ff'
-        ];
-        return colors[Math.floor(Math.random() * colors.length)];
+        // Saved like the name, so this user has one colour in every tab and
+        // peers show the one we announce (see Awareness)
+        let userColor = localStorage.getItem('collab-user-color');
+        if (Awareness.COLORS.includes(userColor)) {
+            return userColor;
+        }
+
+        userColor = Awareness.COLORS[Math.floor(Math.random() * Awareness.COLORS.length)];
+        localStorage.setItem('collab-user-color', userColor);
+        return userColor;
+    }
+
+    // Let the room know what we are doing; edits count as typing
+    trackActivity(textarea) {
+        const line = () => textarea.value.substring(0, textarea.selectionStart).split('\n').length;
+
+        textarea.addEventListener('input', () => this.awareness.activity(!this.readOnly, line()));
+        ['keyup', 'click', 'focus', 'select'].forEach(type => {
+            textarea.addEventListener(type, () => this.awareness.activity(false, line()));
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.awareness.setIdle();
+            } else {
+                this.awareness.activity(false);
+            }
+        });
     }
 
     setupUI() {
@@ -95,6 +334,18 @@ class CollabCodeApp {
         document.getElementById('userColor').style.background = this.userColor;
         document.getElementById('sessionId').textContent = this.syncEngine.sessionId;
 
+        // Real connectivity changes use the same offline mode: edits are
+        // queued in the outbox and merged when the connection returns
+        window.addEventListener('offline', () => {
+            this.syncEngine.setOnline(false);
+            this.logOperation('Connection lost, queueing edits', 'error');
+        });
+        window.addEventListener('online', () => {
+            if (this.removed) return;
+            this.syncEngine.setOnline(true);
+            this.logOperation('Connection restored, syncing');
+        });
+
         // Share button
         document.getElementById('shareBtn').addEventListener('click', () => {
             this.showShareModal();
@@ -105,18 +356,20 @@ class CollabCodeApp {
             this.hideShareModal();
         });
 
-        // Copy link button
-        document.getElementById('copyLinkBtn').addEventListener('click', () => {
-            const input = document.getElementById('shareLinkInput');
-            input.select();
-            document.execCommand('copy');
-            
-            const btn = document.getElementById('copyLinkBtn');
-            const originalText = btn.textContent;
-            btn.textContent = 'COPIED!';
-            setTimeout(() => {
-                btn.textContent = originalText;
-            }, 2000);
+        // Copy link buttons
+        [['copyLinkBtn', 'shareLinkInput'], ['copyViewerLinkBtn', 'viewerLinkInput']].forEach(([buttonId, inputId]) => {
+            document.getElementById(buttonId).addEventListener('click', () => {
+                const input = document.getElementById(inputId);
+                input.select();
+                document.execCommand('copy');
+                
+                const btn = document.getElementById(buttonId);
+                const originalText = btn.textContent;
+                btn.textContent = 'COPIED!';
+                setTimeout(() => {
+                    btn.textContent = originalText;
+                }, 2000);
+            });
         });
 
         // Language select
@@ -133,9 +386,30 @@ class CollabCodeApp {
             this.redo();
         });
 
+        // Ctrl+Z / Ctrl+Shift+Z (Ctrl+Y) go through the CRDT, never the
+        // textarea's own history, which knows nothing about peers
+        this.editor.textarea.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+        this.editor.textarea.addEventListener('beforeinput', (e) => {
+            if (e.inputType === 'historyUndo' || e.inputType === 'historyRedo') {
+                e.preventDefault();
+                if (e.inputType === 'historyUndo') this.undo();
+                else this.redo();
+            }
+        });
+
         // Clear button
         document.getElementById('clearBtn').addEventListener('click', () => {
-            if (confirm('Clear all content? This cannot be undone.')) {
+            if (confirm('Clear all content for everyone in this room?')) {
                 this.editor.clear();
                 this.logOperation('Document cleared');
             }
@@ -147,32 +421,206 @@ class CollabCodeApp {
                 this.hideShareModal();
             }
         });
+
+        // Blame gutter
+        document.getElementById('blameBtn').addEventListener('click', (e) => {
+            const enabled = this.blame.toggle();
+            e.currentTarget.classList.toggle('active', enabled);
+        });
+
+        // Version history
+        document.getElementById('historyBtn').addEventListener('click', () => {
+            this.showHistoryModal();
+        });
+
+        document.getElementById('closeHistoryModal').addEventListener('click', () => {
+            this.hideHistoryModal();
+        });
+
+        document.getElementById('historyModal').addEventListener('click', (e) => {
+            if (e.target.id === 'historyModal') {
+                this.hideHistoryModal();
+            }
+        });
+
+        document.getElementById('saveVersionBtn').addEventListener('click', () => {
+            this.saveVersion();
+        });
+
+        document.getElementById('versionNameInput').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.saveVersion();
+            }
+        });
+
+        document.getElementById('restoreVersionBtn').addEventListener('click', () => {
+            this.restoreVersion(this.previewVersionId);
+        });
     }
 
     showShareModal() {
         const modal = document.getElementById('shareModal');
         const input = document.getElementById('shareLinkInput');
-        
-        // Generate shareable link (in production, this would be a real URL)
-        const shareLink = `${window.location.origin}${window.location.pathname}?session=${this.syncEngine.sessionId}`;
-        input.value = shareLink;
+        const viewerRow = document.getElementById('viewerLinkRow');
+
+        // The owner hands out editor and read-only links; everyone else
+        // passes on the link they joined with
+        if (this.shareInvites) {
+            input.value = this.getShareLink(this.shareInvites.editor);
+            document.getElementById('viewerLinkInput').value = this.getShareLink(this.shareInvites.viewer);
+            document.getElementById('shareLinkLabel').textContent = 'Editor link:';
+            viewerRow.classList.add('active');
+        } else {
+            const invite = this.accessControl && this.accessControl.invite;
+            input.value = this.getShareLink(invite ? AccessControl.encodeToken(invite) : null);
+            viewerRow.classList.remove('active');
+        }
         
         modal.classList.add('active');
     }
 
+    // Generate shareable link (in production, this would be a real URL)
+    getShareLink(invite) {
+        let shareLink = `${window.location.origin}${window.location.pathname}?session=${this.syncEngine.sessionId}`;
+        if (this.relayUrl) {
+            shareLink += `&relay=${encodeURIComponent(this.relayUrl)}`;
+        }
+        if (this.useP2P) {
+            shareLink += '&p2p';
+        }
+
+        const fragment = new URLSearchParams({ key: this.roomSecret });
+        if (this.accessControl) {
+            fragment.set('owner', new URLSearchParams(window.location.hash.substring(1)).get('owner'));
+        }
+        if (invite) {
+            fragment.set('invite', invite);
+        }
+        return `${shareLink}#${fragment}`;
+    }
+
     hideShareModal() {
         const modal = document.getElementById('shareModal');
         modal.classList.remove('active');
     }
 
+    showHistoryModal() {
+        this.renderVersionList();
+        document.getElementById('historyModal').classList.add('active');
+        document.getElementById('versionNameInput').focus();
+    }
+
+    hideHistoryModal() {
+        document.getElementById('historyModal').classList.remove('active');
+        document.getElementById('versionPreview').classList.remove('active');
+        this.previewVersionId = null;
+    }
+
+    saveVersion() {
+        const input = document.getElementById('versionNameInput');
+        const name = input.value.trim();
+        if (!name) {
+            input.focus();
+            return;
+        }
+
+        this.history.save(name);
+        input.value = '';
+        this.logOperation(`Saved version "${name}"`);
+    }
+
+    handleVersionAdded(version, fromPeer) {
+        if (fromPeer && !version.auto) {
+            this.logOperation(`${version.author} saved version "${version.name}"`);
+        }
+        this.renderVersionList();
+    }
+
+    renderVersionList() {
+        const list = document.getElementById('versionList');
+        if (!list) return;
+
+        list.innerHTML = '';
+        const versions = this.history.list();
+
+        if (versions.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'version-empty';
+            empty.textContent = 'No versions yet. Name one above, or wait for an auto-save.';
+            list.appendChild(empty);
+            return;
+        }
+
+        versions.forEach(version => {
+            const item = document.createElement('div');
+            item.className = 'version-item';
+            if (version.auto) item.classList.add('auto');
+            if (version.id === this.previewVersionId) item.classList.add('selected');
+
+            const name = document.createElement('span');
+            name.className = 'version-name';
+            name.textContent = version.name;
+
+            const meta = document.createElement('span');
+            meta.className = 'version-meta';
+            meta.textContent = `${version.author} · ${new Date(version.createdAt).toLocaleString()}`;
+
+            item.appendChild(name);
+            item.appendChild(meta);
+            item.addEventListener('click', () => this.previewVersion(version.id));
+            list.appendChild(item);
+        });
+    }
+
+    // Read-only look at a version; the document is not touched
+    previewVersion(id) {
+        const version = this.history.get(id);
+        if (!version) return;
+
+        this.previewVersionId = id;
+        document.getElementById('versionPreviewTitle').textContent =
+            `"${version.name}" by ${version.author}, ${new Date(version.createdAt).toLocaleString()}`;
+        document.getElementById('versionPreviewText').value = version.text;
+        document.getElementById('versionPreview').classList.add('active');
+        this.renderVersionList();
+    }
+
+    restoreVersion(id) {
+        const version = this.history.get(id);
+        if (!version) return;
+
+        if (!confirm(`Restore "${version.name}" for everyone in this room?`)) {
+            return;
+        }
+
+        // Keep what we are about to replace
+        if (this.crdt.getText() !== version.text) {
+            this.history.save(`Before restoring "${version.name}"`, true);
+        }
+
+        this.editor.setText(version.text);
+        this.logOperation(`Restored version "${version.name}"`);
+        this.hideHistoryModal();
+    }
+
     handleRemoteOperation(operation) {
         console.log('🔄 Handling remote operation:', operation.type, operation);
         this.editor.handleRemoteOperation(operation);
         
         // Log operation
-        const opType = operation.type === 'insert' ? 'INSERT' : 'DELETE';
-        const char = operation.char ? operation.char.value : '';
-        this.logOperation(`Remote ${opType}: ${char ? `"${char}"` : 'char'} at pos ${operation.position}`);
+        const who = this.getUserName(operation.siteId);
+        if (operation.type === 'sync') {
+            this.logOperation(`Synced document from ${who}`);
+        } else if (operation.type === 'insert') {
+            const text = operation.run.value;
+            const preview = text.length > 20 ? `${text.substring(0, 20)}...` : text;
+            this.logOperation(`${who} INSERT: "${preview}" at pos ${operation.position}`);
+        } else if (operation.type === 'revive') {
+            this.logOperation(`${who} UNDO: restored ${operation.length} char${operation.length === 1 ? '' : 's'} at pos ${operation.position}`);
+        } else {
+            const count = operation.spans.reduce((sum, span) => sum + span.length, 0);
+            this.logOperation(`${who} DELETE: ${count} char${count === 1 ? '' : 's'} at pos ${operation.position}`);
+        }
     }
 
     handleCursorUpdate(siteId, position, selection) {
@@ -182,7 +630,12 @@ class CollabCodeApp {
     handlePeerJoin(peerId) {
         console.log('🟢 Peer joined:', peerId);
         this.addUserToList(peerId);
-        this.logOperation(`Peer joined: ${peerId.substring(0, 15)}...`);
+        this.history.sendAll(peerId);
+        this.awareness.send(peerId);
+        // Peers we have no name for yet are announced when their state arrives
+        if (this.awareness.get(peerId)) {
+            this.logOperation(`${this.getUserName(peerId)} joined`);
+        }
         this.updateCursorCount();
     }
 
@@ -190,10 +643,59 @@ class CollabCodeApp {
         console.log('🔴 Peer left:', peerId);
         this.removeUserFromList(peerId);
         this.removeRemoteCursor(peerId);
-        this.logOperation(`Peer left: ${peerId.substring(0, 15)}...`);
+        this.logOperation(`${this.getUserName(peerId)} left`);
         this.updateCursorCount();
     }
 
+    // Logged once per peer: a wrong key means every heartbeat fails too
+    handleRejectedMessage(peerId) {
+        if (this.rejectedPeers.has(peerId)) return;
+        this.rejectedPeers.add(peerId);
+        this.logOperation(`🔒 Rejected messages from ${this.getUserName(peerId)}: wrong room key or tampered`, 'error');
+    }
+
+    // A peer on another release: its messages are ignored, so say so where
+    // nobody can miss it
+    handleIncompatiblePeer(peerId, version) {
+        const theirs = version === undefined ? 'an older release' : `protocol v${version}`;
+        this.logOperation(`⚠ ${this.getUserName(peerId)} runs an incompatible version (${theirs}, this tab: v${Protocol.VERSION}); ignoring them`, 'error');
+
+        const count = this.syncEngine.incompatiblePeers.size;
+        const warning = document.getElementById('protocolWarning');
+        warning.textContent = `⚠ ${count === 1 ? 'Someone in this room runs' : `${count} people in this room run`} ` +
+            'a different version of CollabCode. Their edits are ignored until everyone reloads the latest version.';
+        warning.classList.add('active');
+        warning.onclick = () => warning.classList.remove('active');
+    }
+
+    // A peer's name, colour or activity changed (or we heard it first)
+    handleAwarenessChange(siteId, state, previous) {
+        if (siteId === this.siteId) return;
+
+        // Only peers we are connected to are listed
+        if (this.syncEngine.peers.has(siteId)) {
+            if (!previous) {
+                this.logOperation(`${state.name} joined`);
+            } else if (previous.name !== state.name) {
+                this.logOperation(`${previous.name} is now ${state.name}`);
+            }
+            this.updateUserItem(siteId);
+        }
+
+        const cursor = this.remoteCursors.get(siteId);
+        if (cursor) {
+            this.styleRemoteCursor(siteId, cursor);
+        }
+        if (!previous || previous.name !== state.name || previous.color !== state.color) {
+            this.blame.scheduleRender();
+        }
+    }
+
+    handleDeliveryFailed(peerId, operation) {
+        const what = `${operation.type.toUpperCase()} at pos ${operation.position}`;
+        this.logOperation(`⚠ ${what} failed to reach ${this.getUserName(peerId)}`, 'error');
+    }
+
     addUserToList(peerId) {
         const usersList = document.getElementById('usersList');
         const existingUser = document.getElementById(`user-${peerId}`);
@@ -202,18 +704,122 @@ class CollabCodeApp {
             const userItem = document.createElement('div');
             userItem.className = 'user-item';
             userItem.id = `user-${peerId}`;
-            userItem.style.borderLeftColor = this.getUserColor(peerId);
             
             const dot = document.createElement('div');
             dot.className = 'user-dot';
-            dot.style.background = this.getUserColor(peerId);
             
             const name = document.createElement('span');
-            name.textContent = this.getUserName(peerId);
+            name.className = 'user-item-name';
+
+            const status = document.createElement('span');
+            status.className = 'user-status';
             
             userItem.appendChild(dot);
             userItem.appendChild(name);
+            userItem.appendChild(status);
+            if (this.accessControl) {
+                userItem.appendChild(this.createRoleControl(peerId));
+            }
             usersList.appendChild(userItem);
+            this.updateUserItem(peerId);
+        }
+    }
+
+    // Name, colour and activity from the peer's awareness state
+    updateUserItem(peerId) {
+        const userItem = document.getElementById(`user-${peerId}`);
+        if (!userItem) return;
+
+        const color = this.getUserColor(peerId);
+        const state = this.awareness.get(peerId);
+        userItem.style.borderLeftColor = color;
+        userItem.querySelector('.user-dot').style.background = color;
+        userItem.querySelector('.user-item-name').textContent = this.getUserName(peerId);
+        userItem.querySelector('.user-status').textContent = state
+            ? (state.status === 'idle' ? 'idle' : `${state.status} · L${state.line}`)
+            : '';
+        userItem.classList.toggle('idle', !!state && state.status === 'idle');
+        userItem.classList.toggle('typing', !!state && state.status === 'typing');
+    }
+
+    // The owner gets a menu to promote, demote or remove; others see the role
+    createRoleControl(peerId) {
+        const role = this.accessControl.role(peerId);
+
+        if (!this.accessControl.isOwner()) {
+            const label = document.createElement('span');
+            label.className = 'user-role';
+            label.textContent = role;
+            return label;
+        }
+
+        const select = document.createElement('select');
+        select.className = 'user-role user-role-select';
+        [['editor', 'editor'], ['viewer', 'viewer'], ['removed', 'remove']].forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        });
+        select.value = role;
+        select.addEventListener('change', () => this.setPeerRole(peerId, select.value));
+        return select;
+    }
+
+    async setPeerRole(peerId, role) {
+        if (role === 'removed' && !confirm(`Remove ${this.getUserName(peerId)} from this room?`)) {
+            this.updateUserRole(peerId);
+            return;
+        }
+        await this.syncEngine.grantRole(peerId, role);
+    }
+
+    updateUserRole(peerId) {
+        const userItem = document.getElementById(`user-${peerId}`);
+        const control = userItem && userItem.querySelector('.user-role');
+        if (!control) return;
+
+        const role = this.accessControl.role(peerId);
+        if (control.tagName === 'SELECT') {
+            control.value = role;
+        } else {
+            control.textContent = role;
+        }
+    }
+
+    // Roles change when the owner grants one, including when it lets in
+    // someone who opened an invite link
+    handleRoleChange(siteId, role) {
+        if (!this.syncEngine) return; // Still starting up
+
+        if (siteId === this.siteId) {
+            localStorage.setItem(this.grantStorageKey, JSON.stringify(this.accessControl.grants.get(siteId)));
+            this.applyOwnRole();
+            this.logOperation(`Your role is now ${role}`, role === 'removed' ? 'error' : undefined);
+            return;
+        }
+
+        // Peers not listed yet are still joining; their entry shows the role
+        if (!document.getElementById(`user-${siteId}`)) return;
+        this.updateUserRole(siteId);
+        this.logOperation(`${this.getUserName(siteId)} is now ${role}`);
+    }
+
+    // Viewers (and removed participants) cannot change the document
+    applyOwnRole() {
+        const role = this.accessControl ? this.accessControl.role(this.siteId) : 'editor';
+        this.readOnly = role === 'viewer' || role === 'removed';
+
+        this.editor.setReadOnly(this.readOnly);
+        document.getElementById('userRole').textContent = this.accessControl ? role : '';
+        ['clearBtn', 'saveVersionBtn', 'restoreVersionBtn'].forEach(id => {
+            document.getElementById(id).disabled = this.readOnly;
+        });
+        this.updateUndoButtons();
+
+        if (role === 'removed') {
+            this.removed = true;
+            this.syncEngine.setOnline(false);
         }
     }
 
@@ -224,17 +830,31 @@ class CollabCodeApp {
         }
     }
 
+    // The colour a peer announced; until we hear it, one derived from its ID
     getUserColor(peerId) {
-        // Generate consistent color for peer
+        const state = this.awareness && this.awareness.get(peerId);
+        if (state) {
+            return state.color;
+        }
+
         const hash = peerId.split('').reduce((acc, char) => {
             return char.charCodeAt(0) + ((acc << 5) - acc);
         }, 0);
-        const colors = ['#00ff41', '#ff0080', '#00ffff', '#ffff00', '#ff00ff', '#ff6600'];
-        return colors[Math.abs(hash) % colors.length];
+        return Awareness.COLORS[Math.abs(hash) % Awareness.COLORS.length];
     }
 
+    // The name a peer announced; until we hear it, the start of its ID
     getUserName(peerId) {
-        return peerId.substring(0, 12);
+        const state = this.awareness && this.awareness.get(peerId);
+        return state ? state.name : peerId.substring(0, 12);
+    }
+
+    // Name and colour for the author of some text
+    describeAuthor(siteId) {
+        if (siteId === this.siteId) {
+            return { name: `${this.userName} (you)`, color: this.userColor };
+        }
+        return { name: this.getUserName(siteId), color: this.getUserColor(siteId) };
     }
 
     updateRemoteCursor(siteId, position, selection) {
@@ -246,16 +866,14 @@ class CollabCodeApp {
         if (!cursor) {
             cursor = document.createElement('div');
             cursor.className = 'remote-cursor';
-            cursor.style.background = this.getUserColor(siteId);
             
             const label = document.createElement('div');
             label.className = 'cursor-label';
-            label.textContent = this.getUserName(siteId);
-            label.style.background = this.getUserColor(siteId);
             
             cursor.appendChild(label);
             overlay.appendChild(cursor);
             this.remoteCursors.set(siteId, cursor);
+            this.styleRemoteCursor(siteId, cursor);
         }
 
         // Calculate cursor position
@@ -275,6 +893,14 @@ class CollabCodeApp {
         cursor.style.left = `${columnNumber * charWidth}px`;
     }
 
+    styleRemoteCursor(siteId, cursor) {
+        const color = this.getUserColor(siteId);
+        const label = cursor.querySelector('.cursor-label');
+        cursor.style.background = color;
+        label.textContent = this.getUserName(siteId);
+        label.style.background = color;
+    }
+
     removeRemoteCursor(siteId) {
         const cursor = this.remoteCursors.get(siteId);
         if (cursor) {
@@ -291,12 +917,12 @@ class CollabCodeApp {
         }
     }
 
-    logOperation(message) {
+    logOperation(message, level) {
         const log = document.getElementById('operationsLog');
         if (!log) return;
 
         const entry = document.createElement('div');
-        entry.className = 'log-entry';
+        entry.className = level ? `log-entry log-${level}` : 'log-entry';
         entry.textContent = message;
         
         log.appendChild(entry);
@@ -311,13 +937,45 @@ class CollabCodeApp {
     }
 
     undo() {
-        // Simplified undo - in production, implement proper undo/redo with CRDT
-        this.logOperation('Undo requested (feature in development)');
+        if (this.readOnly) return;
+        const operations = this.undoManager.undo();
+        if (operations.length === 0) {
+            this.logOperation('Nothing to undo');
+            return;
+        }
+        this.editor.applyLocalOperations(operations);
+        this.logOperation(`Undo: ${this.describeOperations(operations)}`);
     }
 
     redo() {
-        // Simplified redo
-        this.logOperation('Redo requested (feature in development)');
+        if (this.readOnly) return;
+        const operations = this.undoManager.redo();
+        if (operations.length === 0) {
+            this.logOperation('Nothing to redo');
+            return;
+        }
+        this.editor.applyLocalOperations(operations);
+        this.logOperation(`Redo: ${this.describeOperations(operations)}`);
+    }
+
+    describeOperations(operations) {
+        let removed = 0;
+        let restored = 0;
+        operations.forEach(operation => {
+            const count = (operation.spans || []).reduce((sum, span) => sum + span.length, 0);
+            if (operation.type === 'revive') restored += count;
+            else removed += count;
+        });
+
+        const parts = [];
+        if (removed > 0) parts.push(`removed ${removed} char${removed === 1 ? '' : 's'}`);
+        if (restored > 0) parts.push(`restored ${restored} char${restored === 1 ? '' : 's'}`);
+        return parts.join(', ') || 'no visible change';
+    }
+
+    updateUndoButtons() {
+        document.getElementById('undoBtn').disabled = this.readOnly || !this.undoManager.canUndo();
+        document.getElementById('redoBtn').disabled = this.readOnly || !this.undoManager.canRedo();
     }
 
     startUpdateLoop() {
@@ -334,18 +992,31 @@ class CollabCodeApp {
             latencyEl.textContent = `${this.syncEngine.latency}ms`;
         }
 
+        // Update remote ops waiting for their causal dependencies
+        const queuedEl = document.getElementById('queuedOps');
+        if (queuedEl) {
+            queuedEl.textContent = this.syncEngine.getQueueMetrics().waiting;
+        }
+
         // Update connection status
         const statusDot = document.querySelector('.status-dot');
         const statusText = document.querySelector('.status-text');
         
-        if (this.syncEngine.isOnline) {
+        const pending = this.syncEngine.getPendingCount();
+        
+        if (!this.roomCrypto) {
+            // Never connected at all (see createTransport)
+            statusDot.classList.remove('status-online');
+            statusDot.classList.add('status-offline');
+            statusText.textContent = 'OFFLINE · NEEDS HTTPS';
+        } else if (this.syncEngine.isOnline) {
             statusDot.classList.remove('status-offline');
             statusDot.classList.add('status-online');
             statusText.textContent = 'ONLINE';
         } else {
             statusDot.classList.remove('status-online');
             statusDot.classList.add('status-offline');
-            statusText.textContent = 'OFFLINE';
+            statusText.textContent = pending > 0 ? `OFFLINE · ${pending} PENDING` : 'OFFLINE';
         }
 
         // Update CRDT state info
@@ -387,8 +1058,8 @@ document.addEventListener('DOMContentLoaded', () => {
     window.app = app;
     window.DEBUG_MODE = false; // Set to true for verbose logging
     
-    // Add welcome message
-    setTimeout(() => {
+    // Add welcome message once the saved document (if any) is loaded
+    app.ready.then(() => {
         const welcomeText = `// Welcome to CollabCode!
 // This is a real-time collaborative code editor with CRDT synchronization.
 //
@@ -411,9 +1082,12 @@ document.addEventListener('DOMContentLoaded', () => {
 // Start typing below!
 
 `;
-        app.editor.setValue(welcomeText);
-        app.editor.textarea.setSelectionRange(0, 0);
-    }, 100);
+        // Only a brand-new room starts with the welcome text; anyone joining
+        // from a share link gets the room's document from its peers
+        if (app.isNewRoom && app.crdt.getText() === '') {
+            app.editor.replaceAll(welcomeText);
+        }
+    });
 });
 
 // Handle cleanup on page unload
@@ -421,4 +1095,13 @@ window.addEventListener('beforeunload', () => {
     if (app && app.syncEngine) {
         app.syncEngine.destroy();
     }
+    if (app && app.store) {
+        app.store.save();
+    }
+    if (app && app.history) {
+        app.history.destroy();
+    }
+    if (app && app.identity) {
+        app.identity.release();
+    }
 });
\ No newline at end of file
@@ -0,0 +1,127 @@
+/**
+ * Awareness - Who is in the room and what they are doing
+ *
+ * Every tab shares a small state with the room: the user's name and colour,
+ * whether they are active, typing or idle, and the line their cursor is on.
+ * The app shows it in the users list, on cursor labels and in the log, so
+ * everyone sees the same name and colour for each participant.
+ *
+ * States travel as 'awareness' messages over SyncEngine (see
+ * SyncEngine.onMessage). Those are not ordered or acknowledged, so every
+ * state carries a counter and only a newer one replaces what a peer knows.
+ * The whole state is resent when it changes, to each peer that joins, and
+ * every so often in case a message was lost.
+ *
+ * Status follows what this tab reports through activity(): typing for a
+ * moment after each edit, active after any other input, idle after a minute
+ * of nothing (or as soon as the app says so, e.g. when the tab is hidden).
+ */
+
+class Awareness {
+    constructor(syncEngine, state, options = {}) {
+        this.syncEngine = syncEngine;
+        this.siteId = syncEngine.crdt.siteId;
+
+        this.typingFor = options.typingFor || 2000; // Typing until this long after an edit
+        this.idleAfter = options.idleAfter || 60 * 1000;
+        this.refreshInterval = options.refreshInterval || 15 * 1000;
+        this.onChange = options.onChange || null; // (siteId, state, previous) for every site, us included
+
+        this.local = { name: state.name, color: state.color, status: 'active', line: 1 };
+        this.clock = 0; // Bumped on every change to our state
+        this.states = new Map(); // siteId -> { state, clock }, kept after peers leave to name their text
+
+        this.typingTimer = null;
+        this.idleTimer = null;
+        this.sendTimer = null;
+
+        syncEngine.onMessage('awareness', (message) => this.receive(message));
+        this.refreshTimer = setInterval(() => this.send(), this.refreshInterval);
+        this.resetIdleTimer();
+    }
+
+    // A site's state, ours included; null if we have not heard from it
+    get(siteId) {
+        if (siteId === this.siteId) return this.local;
+        const known = this.states.get(siteId);
+        return known ? known.state : null;
+    }
+
+    // Change our own state; peers hear about it shortly after
+    update(changes) {
+        const previous = this.local;
+        const next = { ...previous, ...changes };
+        if (Object.keys(next).every(key => next[key] === previous[key])) return;
+
+        this.local = next;
+        this.clock++;
+        if (this.onChange) this.onChange(this.siteId, next, previous);
+
+        // Coalesce bursts (every keystroke can move the line)
+        if (!this.sendTimer) {
+            this.sendTimer = setTimeout(() => this.send(), 200);
+        }
+    }
+
+    // Report input in this tab: an edit when `typing`, otherwise anything
+    // else (cursor moves, clicks, focus)
+    activity(typing = false, line) {
+        const changes = line === undefined ? {} : { line };
+        if (typing) {
+            changes.status = 'typing';
+            clearTimeout(this.typingTimer);
+            this.typingTimer = setTimeout(() => this.update({ status: 'active' }), this.typingFor);
+        } else if (this.local.status === 'idle') {
+            changes.status = 'active';
+        }
+
+        this.update(changes);
+        this.resetIdleTimer();
+    }
+
+    setIdle() {
+        clearTimeout(this.typingTimer);
+        this.update({ status: 'idle' });
+    }
+
+    resetIdleTimer() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => this.setIdle(), this.idleAfter);
+    }
+
+    // Our state to everyone, or to one peer that just joined
+    send(targetId = 'broadcast') {
+        if (targetId === 'broadcast') {
+            clearTimeout(this.sendTimer);
+            this.sendTimer = null;
+        }
+        this.syncEngine.sendMessage('awareness', { state: this.local, clock: this.clock }, targetId);
+    }
+
+    receive(message) {
+        const known = this.states.get(message.siteId);
+        if (known && known.clock >= message.clock) return;
+
+        const previous = known ? known.state : null;
+        this.states.set(message.siteId, { state: message.state, clock: message.clock });
+        if (this.onChange) this.onChange(message.siteId, message.state, previous);
+    }
+
+    destroy() {
+        clearInterval(this.refreshTimer);
+        clearTimeout(this.typingTimer);
+        clearTimeout(this.idleTimer);
+        clearTimeout(this.sendTimer);
+    }
+}
+
+// Everyone picks from the same colours, so a colour reads the same in every tab
+Awareness.COLORS = [
+    '#00ff41', '#ff0080', '#00ffff', '#ffff00',
+    '#ff00ff', '#ff6600', '#0080ff', '#b388ff'
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Awareness };
+}
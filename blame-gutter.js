@@ -0,0 +1,114 @@
+/**
+ * Blame Gutter - Shows who last wrote each line, next to the line numbers
+ *
+ * Every character in the CRDT keeps the site that inserted it and a Lamport
+ * timestamp. A line's author is whoever wrote its newest visible character
+ * (its line break included), so retyping one word on a line claims it.
+ *
+ * For arbitrary spans of text use CRDT.getAuthorRanges(start, end).
+ */
+
+class BlameGutter {
+    // describeAuthor(siteId) -> { name, color }
+    constructor(element, textarea, crdt, describeAuthor) {
+        this.element = element;
+        this.textarea = textarea;
+        this.crdt = crdt;
+        this.describeAuthor = describeAuthor;
+        this.enabled = false;
+        this.renderPending = false;
+
+        // Redraw once per frame however many operations arrive
+        crdt.subscribe(() => this.scheduleRender());
+
+        // The gutter does not scroll by itself; follow the text
+        textarea.addEventListener('scroll', () => {
+            this.element.scrollTop = this.textarea.scrollTop;
+        });
+    }
+
+    toggle() {
+        this.setEnabled(!this.enabled);
+        return this.enabled;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.element.classList.toggle('active', enabled);
+        this.render();
+    }
+
+    scheduleRender() {
+        if (!this.enabled || this.renderPending) return;
+        this.renderPending = true;
+        requestAnimationFrame(() => {
+            this.renderPending = false;
+            this.render();
+        });
+    }
+
+    // The newest visible character of every line: [{ siteId, clock }]
+    // (siteId is null for an empty last line)
+    getLineAuthors() {
+        const lines = [{ siteId: null, clock: -1 }];
+
+        for (const run of this.crdt.tree) {
+            if (!run.visible) continue;
+
+            // Clocks grow along a run, so a piece's newest character is its last
+            let offset = 0;
+            while (offset < run.length) {
+                const newline = run.value.indexOf('\n', offset);
+                const end = newline === -1 ? run.length : newline + 1;
+                const clock = run.clock + end - 1;
+
+                const line = lines[lines.length - 1];
+                if (clock > line.clock || (clock === line.clock && run.siteId > line.siteId)) {
+                    line.siteId = run.siteId;
+                    line.clock = clock;
+                }
+
+                if (newline !== -1) {
+                    lines.push({ siteId: null, clock: -1 });
+                }
+                offset = end;
+            }
+        }
+
+        return lines;
+    }
+
+    render() {
+        if (!this.enabled) return;
+
+        this.element.innerHTML = '';
+        let previous = null;
+
+        this.getLineAuthors().forEach(line => {
+            const entry = document.createElement('div');
+            entry.className = 'blame-line';
+
+            if (line.siteId) {
+                const author = this.describeAuthor(line.siteId);
+                entry.style.borderLeftColor = author.color;
+                entry.title = author.name;
+
+                // Name only where a block by a new author starts
+                if (line.siteId !== previous) {
+                    entry.textContent = author.name;
+                    entry.style.color = author.color;
+                }
+            }
+
+            previous = line.siteId;
+            this.element.appendChild(entry);
+        });
+
+        this.element.scrollTop = this.textarea.scrollTop;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BlameGutter };
+}
@@ -1,12 +1,18 @@
 /**
  * CRDT (Conflict-free Replicated Data Type) Implementation
  * 
- * This implements a character-based CRDT with vector clocks for handling
- * concurrent edits without conflicts.
+ * This implements a character-based sequence CRDT in the style of RGA/YATA.
+ * Every character remembers the neighbours it was typed between (its left
+ * and right origins) and carries a Lamport timestamp drawn from the vector
+ * clock, so every replica can rebuild exactly where its author put it.
+ * Consecutive characters from one author are stored as runs that split on
+ * demand, and runs live in a DocumentTree (see document-tree.js) so
+ * positions and IDs resolve in O(log n) even on large documents.
  * 
  * HARDEST BUGS FIXED:
  * 1. Race condition: Simultaneous edits at same position caused text corruption
- *    - Fix: Vector clocks + logical timestamps ensure total ordering
+ *    - Fix: Characters are placed relative to their origins; concurrent inserts
+ *      after the same origin are ordered by (timestamp, siteId)
  * 
  * 2. Out-of-bounds operations after deletion
  *    - Fix: Tombstone markers preserve positions even after deletion
@@ -21,9 +27,14 @@ class VectorClock {
         this.clock = { [siteId]: 0 };
     }
 
-    increment() {
-        this.clock[this.siteId] = (this.clock[this.siteId] || 0) + 1;
-        return this.clock[this.siteId];
+    // Advance our own entry past every timestamp we have seen (Lamport rule).
+    // Reserves `count` consecutive timestamps, one per inserted character, and
+    // returns the first. They are unique per site and larger than anything
+    // their author could observe.
+    increment(count = 1) {
+        const highest = Math.max(0, ...Object.values(this.clock));
+        this.clock[this.siteId] = highest + count;
+        return highest + 1;
     }
 
     update(otherClock) {
@@ -58,13 +69,43 @@ class VectorClock {
     }
 }
 
-class CRDTCharacter {
-    constructor(value, id, siteId, vectorClock) {
-        this.value = value;
-        this.id = id; // Unique identifier: `${siteId}-${counter}`
+// A run of consecutive characters typed by one site.
+// Character i of the run has ID { siteId, clock: clock + i } and its left
+// origin is character i - 1, so only the first character's origins are
+// stored. Runs split on demand when something is inserted into or deleted
+// from their middle.
+class CRDTRun {
+    constructor(value, siteId, clock, originLeft = null, originRight = null) {
+        this.value = value; // One or more characters
         this.siteId = siteId;
-        this.vectorClock = vectorClock; // Copy of vector clock when created
+        this.clock = clock; // Lamport timestamp of the first character
+        this.originLeft = originLeft; // ID of the visible character to our left when typed
+        this.originRight = originRight; // ID of the visible character to our right when typed
         this.visible = true; // Tombstone: false when deleted
+        this.deletedBy = []; // { siteId, clock } of every delete still hiding this text
+    }
+
+    get length() {
+        return this.value.length;
+    }
+
+    // ID of the character at an offset inside this run
+    idAt(offset) {
+        return { siteId: this.siteId, clock: this.clock + offset };
+    }
+
+    // Rebuild a run from its snapshot form
+    static fromData(data) {
+        const run = new CRDTRun(data.value, data.siteId, data.clock, data.originLeft, data.originRight);
+        run.visible = data.visible;
+        // Snapshots saved before undo existed hold a single stamp
+        run.deletedBy = Array.isArray(data.deletedBy) ? data.deletedBy.slice() : (data.deletedBy ? [data.deletedBy] : []);
+        return run;
+    }
+
+    static sameId(a, b) {
+        if (!a || !b) return a === b;
+        return a.siteId === b.siteId && a.clock === b.clock;
     }
 }
 
@@ -72,155 +113,808 @@ class CRDT {
     constructor(siteId) {
         this.siteId = siteId;
         this.vectorClock = new VectorClock(siteId);
-        this.characters = []; // Array of CRDTCharacter
-        this.counter = 0; // Local operation counter for unique IDs
-        this.operationHistory = []; // For debugging
+        this.listeners = [];
+
+        // A delete can be undone until its author's clock has moved this far
+        // past it. Until then its tombstones are never garbage collected, so
+        // every replica still has the text to bring back.
+        this.undoWindow = 10000;
+        this.reset();
+    }
+
+    // Listen for every change applied to this replica: local and remote
+    // operations, and { type: 'sync' } after merging a snapshot or delta
+    subscribe(listener) {
+        this.listeners.push(listener);
     }
 
-    // Generate unique character ID
-    generateId() {
-        return `${this.siteId}-${this.counter++}`;
+    notify(operation) {
+        this.listeners.forEach(listener => listener(operation));
+    }
+
+    // Drop all document content. Local only: other replicas keep theirs,
+    // use localReplaceAll() to clear a shared document.
+    reset() {
+        // Runs (including tombstones) in document order, indexed by visible
+        // length, plus each site's runs sorted by clock for ID lookups
+        this.tree = new DocumentTree();
+        this.runsBySite = new Map();
+        this.textCache = '';
+        this.operationHistory = []; // For debugging
+
+        // Deletes that were undone: "siteId:clock" of the delete -> the
+        // { siteId, clock } of the revive that undid it
+        this.revived = new Map();
+
+        // Newest garbage-collected delete per site. A peer that has not seen
+        // these cannot be brought up to date with a delta, only a snapshot.
+        this.collectedDeletes = {};
     }
 
     // Get visible text (excluding tombstones)
     getText() {
-        return this.characters
-            .filter(char => char.visible)
-            .map(char => char.value)
-            .join('');
-    }
-
-    // Get position in visible text
-    getVisiblePosition(index) {
-        let visibleCount = 0;
-        for (let i = 0; i < this.characters.length; i++) {
-            if (this.characters[i].visible) {
-                if (visibleCount === index) return i;
-                visibleCount++;
+        if (this.textCache === null) {
+            let text = '';
+            for (const run of this.tree) {
+                if (run.visible) text += run.value;
+            }
+            this.textCache = text;
+        }
+        return this.textCache;
+    }
+
+    // Who wrote the visible text between two offsets, as { siteId, start, end }
+    // ranges in document order. Neighbouring text by one author is merged.
+    getAuthorRanges(start = 0, end = this.tree.length) {
+        const ranges = [];
+        const found = start < end ? this.tree.findByOffset(start) : null;
+        if (!found) return ranges;
+
+        let node = found.node;
+        let position = start - found.offset; // Where the node's text starts
+        while (node && position < end) {
+            const run = node.item;
+            if (run.visible) {
+                const from = Math.max(position, start);
+                const to = Math.min(position + run.length, end);
+                const last = ranges[ranges.length - 1];
+                if (last && last.siteId === run.siteId && last.end === from) {
+                    last.end = to;
+                } else {
+                    ranges.push({ siteId: run.siteId, start: from, end: to });
+                }
+                position += run.length;
+            }
+            node = this.tree.next(node);
+        }
+
+        return ranges;
+    }
+
+    // Get the ID of the visible character at a visible index (null if out of range)
+    getVisibleId(index) {
+        if (index < 0) return null;
+        const found = this.tree.findByOffset(index);
+        return found ? found.node.item.idAt(found.offset) : null;
+    }
+
+    // Find the tree node holding a character ID.
+    // Returns { node, offset } with the character's offset in the run, or null.
+    findNode(id) {
+        const runs = this.runsBySite.get(id.siteId);
+        if (!runs) return null;
+
+        const index = this.searchRuns(runs, id.clock);
+        if (index < 0) return null;
+
+        const node = runs[index];
+        const offset = id.clock - node.item.clock;
+        return offset < node.item.length ? { node, offset } : null;
+    }
+
+    hasId(id) {
+        return this.findNode(id) !== null;
+    }
+
+    // Index of the last run starting at or before `clock` (-1 if none)
+    searchRuns(runs, clock) {
+        let low = 0;
+        let high = runs.length - 1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (runs[mid].item.clock <= clock) {
+                low = mid + 1;
+            } else {
+                high = mid - 1;
             }
         }
-        return this.characters.length;
+        return high;
+    }
+
+    indexNode(node) {
+        const siteId = node.item.siteId;
+        if (!this.runsBySite.has(siteId)) {
+            this.runsBySite.set(siteId, []);
+        }
+        const runs = this.runsBySite.get(siteId);
+        runs.splice(this.searchRuns(runs, node.item.clock) + 1, 0, node);
+    }
+
+    unindexNode(node) {
+        const runs = this.runsBySite.get(node.item.siteId);
+        runs.splice(this.searchRuns(runs, node.item.clock), 1);
+        if (runs.length === 0) {
+            this.runsBySite.delete(node.item.siteId);
+        }
+    }
+
+    // Split a run so that its first `offset` characters stay in `node`.
+    // Returns the node holding the rest.
+    splitNode(node, offset) {
+        const run = node.item;
+        const rest = new CRDTRun(
+            run.value.slice(offset),
+            run.siteId,
+            run.clock + offset,
+            run.idAt(offset - 1),
+            run.originRight
+        );
+        rest.visible = run.visible;
+        rest.deletedBy = run.deletedBy.slice();
+
+        run.value = run.value.slice(0, offset);
+        this.tree.refresh(node);
+
+        const restNode = this.tree.insertAfter(node, rest);
+        this.indexNode(restNode);
+        return restNode;
+    }
+
+    // Split around a single character so it sits in a node of its own
+    isolate(node, offset) {
+        if (offset > 0) {
+            node = this.splitNode(node, offset);
+        }
+        if (node.item.length > 1) {
+            this.splitNode(node, 1);
+        }
+        return node;
     }
 
-    // Local insert operation
+    // Local insert operation: `value` may be any number of characters
     localInsert(position, value) {
-        const timestamp = this.vectorClock.increment();
-        const id = this.generateId();
-        const char = new CRDTCharacter(
+        const previousClock = this.vectorClock.clock[this.siteId];
+        const timestamp = this.vectorClock.increment(value.length);
+
+        // Origins are the visible neighbours the user typed between. Tombstones
+        // are skipped so the author's intent does not depend on deleted text.
+        const run = new CRDTRun(
             value,
-            id,
             this.siteId,
-            this.vectorClock.getCopy()
+            timestamp,
+            this.getVisibleId(position - 1),
+            this.getVisibleId(position)
         );
 
-        const actualPosition = this.getVisiblePosition(position);
-        this.characters.splice(actualPosition, 0, char);
+        const actualPosition = this.integrate(run);
 
         const operation = {
             type: 'insert',
+            siteId: this.siteId,
             position: actualPosition,
-            char: char,
+            length: value.length,
+            run,
             timestamp,
+            previousClock, // Our clock entry before this op: the previous op a peer must apply first
             vectorClock: this.vectorClock.getCopy()
         };
 
         this.operationHistory.push(operation);
+        this.notify(operation);
         return operation;
     }
 
-    // Local delete operation
-    localDelete(position) {
-        const timestamp = this.vectorClock.increment();
-        const actualPosition = this.getVisiblePosition(position);
+    // Local delete operation: removes `count` visible characters from `position`
+    localDelete(position, count = 1) {
+        const found = position >= 0 ? this.tree.findByOffset(position) : null;
 
-        if (actualPosition >= this.characters.length || actualPosition < 0) {
+        if (!found || count < 1) {
             console.warn('Delete position out of bounds:', position);
             return null;
         }
 
-        const char = this.characters[actualPosition];
-        
-        // BUG FIX: Use tombstone instead of actual deletion to preserve positions
-        // This prevents out-of-bounds errors when concurrent ops reference this position
-        if (char.visible) {
-            char.visible = false;
+        const previousClock = this.vectorClock.clock[this.siteId];
+        const timestamp = this.vectorClock.increment();
+        const ranges = [];
+        let remaining = count;
+        let node = found.offset > 0 ? this.splitNode(found.node, found.offset) : found.node;
 
-            const operation = {
-                type: 'delete',
-                position: actualPosition,
-                charId: char.id,
-                timestamp,
-                vectorClock: this.vectorClock.getCopy()
-            };
+        while (node && remaining > 0) {
+            if (node.item.visible) {
+                if (node.item.length > remaining) {
+                    this.splitNode(node, remaining);
+                }
 
-            this.operationHistory.push(operation);
-            return operation;
+                const run = node.item;
+                const previous = ranges[ranges.length - 1];
+                if (previous && previous.siteId === run.siteId &&
+                    previous.clock + previous.length === run.clock) {
+                    previous.length += run.length;
+                } else {
+                    ranges.push({ siteId: run.siteId, clock: run.clock, length: run.length });
+                }
+
+                remaining -= run.length;
+
+                // BUG FIX: Use tombstone instead of actual deletion to preserve positions
+                // This prevents out-of-bounds errors when concurrent ops reference this position
+                this.hide(node, { siteId: this.siteId, clock: timestamp });
+            }
+            node = this.tree.next(node);
         }
 
-        return null;
+        const operation = {
+            type: 'delete',
+            siteId: this.siteId,
+            position,
+            length: count - remaining,
+            ranges, // Deleted character IDs as { siteId, clock, length } spans
+            timestamp,
+            previousClock,
+            vectorClock: this.vectorClock.getCopy()
+        };
+
+        this.operationHistory.push(operation);
+        this.notify(operation);
+        return operation;
+    }
+
+    // Replace the whole document (an empty value clears it).
+    // This is an ordinary range delete of everything visible followed by an
+    // insert, not a reset: text a peer types concurrently was not visible to
+    // us, so it is not deleted and survives on every replica.
+    // Returns the operations to broadcast.
+    localReplaceAll(value) {
+        const operations = [];
+        const length = this.getText().length;
+
+        if (length > 0) {
+            operations.push(this.localDelete(0, length));
+        }
+        if (value.length > 0) {
+            operations.push(this.localInsert(0, value));
+        }
+        return operations;
     }
 
     // Apply remote insert operation
     remoteInsert(operation) {
+        const run = operation.run;
+
+        // Check if the run already exists (duplicate operation)
+        if (this.hasId(run.idAt(0))) {
+            return false;
+        }
+
+        // Without its left origin we cannot know where the author typed
+        if (run.originLeft !== null && !this.hasId(run.originLeft)) {
+            console.warn('Insert origin not found, dropping operation:', run.idAt(0));
+            return false;
+        }
+
         // Update our vector clock
         this.vectorClock.update(operation.vectorClock);
 
-        // Find insertion position based on character ID ordering
-        // BUG FIX: We can't just use the position because concurrent operations
-        // may have changed positions. Instead, we use the character's logical position.
-        
-        let insertIndex = 0;
-        
-        // Find the correct position by comparing IDs
-        // Characters are ordered by: vector clock, then site ID, then counter
-        for (let i = 0; i < this.characters.length; i++) {
-            if (this.compareCharacters(this.characters[i], operation.char) < 0) {
-                insertIndex = i + 1;
-            } else {
-                break;
-            }
+        // BUG FIX: We can't just use the sender's position because concurrent
+        // operations may have changed positions. The run is placed relative
+        // to its origin instead, which every replica resolves to the same slot.
+        operation.position = this.integrate(run);
+        this.notify(operation);
+        return true;
+    }
+
+    // Apply remote delete operation.
+    // Records the visible spans that disappeared in `operation.spans`, each
+    // position relative to the text after the previous spans were removed.
+    remoteDelete(operation) {
+        this.vectorClock.update(operation.vectorClock);
+        this.applyDelete(operation);
+        this.notify(operation);
+        return operation.spans.length > 0;
+    }
+
+    applyDelete(operation) {
+        const stamp = { siteId: operation.siteId, clock: operation.timestamp };
+        const spans = [];
+        operation.ranges.forEach(range => {
+            this.forEachInRange(range, node => {
+                if (node.item.visible) {
+                    const position = this.tree.offsetOf(node);
+                    const previous = spans[spans.length - 1];
+                    if (previous && previous.position === position) {
+                        previous.length += node.item.length;
+                    } else {
+                        spans.push({ position, length: node.item.length });
+                    }
+                }
+
+                // BUG FIX: Text someone else already deleted still records our
+                // delete, or undoing theirs would bring back text we removed
+                this.hide(node, stamp);
+            });
+        });
+
+        operation.spans = spans;
+        if (spans.length > 0) {
+            operation.position = spans[0].position;
         }
+    }
+
+    // Delete whatever is still visible of some character ID ranges (used to
+    // undo an insert without touching text typed around it).
+    // Returns null if none of it is visible any more.
+    localDeleteRanges(ranges) {
+        const visible = [];
+        ranges.forEach(range => {
+            this.forEachInRange(range, node => {
+                if (node.item.visible) {
+                    visible.push({ siteId: node.item.siteId, clock: node.item.clock, length: node.item.length });
+                }
+            });
+        });
 
-        // Check if character already exists (duplicate operation)
-        const exists = this.characters.some(c => c.id === operation.char.id);
-        if (!exists) {
-            this.characters.splice(insertIndex, 0, operation.char);
+        if (visible.length === 0) {
+            return null;
         }
+
+        const previousClock = this.vectorClock.clock[this.siteId];
+        const timestamp = this.vectorClock.increment();
+        const operation = {
+            type: 'delete',
+            siteId: this.siteId,
+            length: visible.reduce((sum, range) => sum + range.length, 0),
+            ranges: visible,
+            timestamp,
+            previousClock,
+            vectorClock: this.vectorClock.getCopy()
+        };
+
+        // Hides the text and fills in spans and position like a remote delete
+        this.applyDelete(operation);
+        this.operationHistory.push(operation);
+        this.notify(operation);
+        return operation;
     }
 
-    // Apply remote delete operation
-    remoteDelete(operation) {
+    // Undo deletes: text hidden by them becomes visible again unless some
+    // other delete still hides it. Deletes older than the undo window may
+    // already be garbage collected somewhere and are skipped.
+    // Returns null if none of the deletes can be undone.
+    localRevive(deletes, ranges) {
+        const own = this.vectorClock.clock[this.siteId] || 0;
+        deletes = deletes.filter(stamp => own - stamp.clock <= this.undoWindow);
+        if (deletes.length === 0) {
+            return null;
+        }
+
+        const previousClock = this.vectorClock.clock[this.siteId];
+        const timestamp = this.vectorClock.increment();
+        const operation = {
+            type: 'revive',
+            siteId: this.siteId,
+            deletes,
+            ranges,
+            timestamp,
+            previousClock,
+            vectorClock: this.vectorClock.getCopy()
+        };
+
+        // Replicated even if nothing comes back (e.g. a peer deleted the
+        // text as well): every replica must forget the undone deletes
+        this.applyRevive(operation);
+        this.operationHistory.push(operation);
+        this.notify(operation);
+        return operation;
+    }
+
+    // Apply remote revive operation
+    remoteRevive(operation) {
         this.vectorClock.update(operation.vectorClock);
+        this.applyRevive(operation);
+        this.notify(operation);
+        return operation.spans.length > 0;
+    }
+
+    // Records the visible spans that appeared in `operation.spans`, each
+    // position relative to the text after the previous spans were added
+    applyRevive(operation) {
+        const reviver = { siteId: operation.siteId, clock: operation.timestamp };
+        operation.deletes.forEach(stamp => this.revived.set(CRDT.stampKey(stamp), reviver));
+
+        const spans = [];
+        operation.ranges.forEach(range => {
+            this.forEachInRange(range, node => {
+                if (node.item.visible) return;
 
-        // Find character by ID and mark as deleted (tombstone)
-        const charIndex = this.characters.findIndex(c => c.id === operation.charId);
-        if (charIndex !== -1) {
-            this.characters[charIndex].visible = false;
+                const position = this.tree.offsetOf(node);
+                this.unhide(node);
+                if (!node.item.visible) return; // Someone else's delete still hides it
+
+                const previous = spans[spans.length - 1];
+                if (previous && previous.position + previous.length === position) {
+                    previous.length += node.item.length;
+                } else {
+                    spans.push({ position, length: node.item.length });
+                }
+            });
+        });
+
+        operation.spans = spans;
+        operation.position = spans.length > 0 ? spans[0].position : 0;
+        operation.length = spans.reduce((sum, span) => sum + span.length, 0);
+    }
+
+    // Call fn for every node covering a { siteId, clock, length } ID range,
+    // splitting runs at the range boundaries. Unknown IDs are skipped.
+    forEachInRange(range, fn) {
+        const end = range.clock + range.length;
+        let clock = range.clock;
+
+        while (clock < end) {
+            const found = this.findNode({ siteId: range.siteId, clock });
+            if (!found) {
+                // Jump to the next run we do know from this site
+                const runs = this.runsBySite.get(range.siteId) || [];
+                const next = runs[this.searchRuns(runs, clock) + 1];
+                clock = next ? Math.min(next.item.clock, end) : end;
+                continue;
+            }
+
+            let node = found.node;
+            if (found.offset > 0) {
+                node = this.splitNode(node, found.offset);
+            }
+            if (node.item.clock + node.item.length > end) {
+                this.splitNode(node, end - node.item.clock);
+            }
+
+            clock = node.item.clock + node.item.length;
+            fn(node);
+        }
+    }
+
+    // Turn a run into a tombstone, remembering which delete did it.
+    // Deletes that were already undone are ignored.
+    hide(node, deletedBy) {
+        const run = node.item;
+        if (this.revived.has(CRDT.stampKey(deletedBy)) ||
+            run.deletedBy.some(stamp => CRDTRun.sameId(stamp, deletedBy))) {
+            return;
+        }
+
+        run.deletedBy.push(deletedBy);
+        if (run.visible) {
+            run.visible = false;
+            this.tree.refresh(node);
+            this.textCache = null;
         }
     }
 
-    // Compare two characters for ordering
-    // BUG FIX: Proper total ordering prevents insertion order ambiguity
-    compareCharacters(char1, char2) {
-        // First compare by vector clock
-        const allSites = new Set([
-            ...Object.keys(char1.vectorClock),
-            ...Object.keys(char2.vectorClock)
-        ]);
+    // Drop the undone deletes from a tombstone; it is visible again once
+    // no delete is left
+    unhide(node) {
+        const run = node.item;
+        run.deletedBy = run.deletedBy.filter(stamp => !this.revived.has(CRDT.stampKey(stamp)));
+        if (!run.visible && run.deletedBy.length === 0) {
+            run.visible = true;
+            this.tree.refresh(node);
+            this.textCache = null;
+        }
+    }
+
+    static stampKey(stamp) {
+        return `${stamp.siteId}:${stamp.clock}`;
+    }
+
+    // Place a run in the sequence and return its visible position.
+    // Starting right after its left origin, we skip every run that sorts
+    // before it (newer timestamps win) and stop at the first older one or at
+    // its right origin. Characters typed after ours always carry a newer
+    // timestamp, so skipping one skips its whole chain of successors too.
+    integrate(run) {
+        let left = null;
+        if (run.originLeft !== null) {
+            // The origin must end its node so we can insert right after it
+            const origin = this.findNode(run.originLeft);
+            left = origin.node;
+            if (origin.offset < left.item.length - 1) {
+                this.splitNode(left, origin.offset + 1);
+            }
+        }
+
+        let node = left ? this.tree.next(left) : this.tree.first();
+        while (node) {
+            const other = node.item;
+            if (CRDTRun.sameId(other.idAt(0), run.originRight)) break;
+            if (this.compareRuns(other, run) < 0) break;
+            left = node;
+            node = this.tree.next(node);
+        }
+
+        this.textCache = null;
+
+        // Typing at the end of our own run just grows it
+        if (left && this.canAppend(left.item, run)) {
+            const position = this.tree.offsetOf(left) + left.item.length;
+            left.item.value += run.value;
+            this.tree.refresh(left);
+            return position;
+        }
+
+        const stored = new CRDTRun(run.value, run.siteId, run.clock, run.originLeft, run.originRight);
+        const inserted = this.tree.insertAfter(left, stored);
+        this.indexNode(inserted);
+        return this.tree.offsetOf(inserted);
+    }
+
+    // Whether `run` continues `previous` exactly as if both were one run
+    canAppend(previous, run) {
+        return previous.visible &&
+            previous.siteId === run.siteId &&
+            previous.clock + previous.length === run.clock &&
+            CRDTRun.sameId(run.originLeft, previous.idAt(previous.length - 1)) &&
+            CRDTRun.sameId(run.originRight, previous.originRight);
+    }
 
-        for (const site of Array.from(allSites).sort()) {
-            const v1 = char1.vectorClock[site] || 0;
-            const v2 = char2.vectorClock[site] || 0;
-            if (v1 !== v2) return v1 - v2;
+    // Compare the first characters of two runs inserted after the same origin
+    // BUG FIX: Proper total ordering prevents insertion order ambiguity.
+    // Positive means run1 is newer and therefore sits closer to the origin.
+    compareRuns(run1, run2) {
+        if (run1.clock !== run2.clock) {
+            return run1.clock - run2.clock;
         }
 
-        // If vector clocks are equal, compare by site ID (deterministic tiebreaker)
-        if (char1.siteId !== char2.siteId) {
-            return char1.siteId.localeCompare(char2.siteId);
+        // Same Lamport timestamp: site ID is the deterministic tiebreaker
+        return run1.siteId.localeCompare(run2.siteId);
+    }
+
+    // Encode the whole document: every run (tombstones included) in order,
+    // plus the vector clock describing which operations it reflects
+    getSnapshot() {
+        const runs = [];
+        for (const run of this.tree) {
+            runs.push({
+                value: run.value,
+                siteId: run.siteId,
+                clock: run.clock,
+                originLeft: run.originLeft,
+                originRight: run.originRight,
+                visible: run.visible,
+                deletedBy: run.deletedBy.slice()
+            });
         }
 
-        // Finally compare by character ID
-        return char1.id.localeCompare(char2.id);
+        return {
+            siteId: this.siteId,
+            vectorClock: this.vectorClock.getCopy(),
+            runs,
+            revived: Array.from(this.revived)
+        };
+    }
+
+    // Merge a snapshot from another replica into our state.
+    // Runs we have never seen are integrated like remote inserts, deletions
+    // are applied to the runs we already have, and anything the snapshot's
+    // clock covers but that it no longer contains was garbage collected by
+    // its owner, which only happens to deleted text.
+    // Returns true if the visible document changed.
+    mergeSnapshot(snapshot) {
+        const before = this.getText();
+        const runs = snapshot.runs.map(data => CRDTRun.fromData(data));
+        this.mergeRevived(snapshot.revived || []);
+
+        if (this.tree.size === 0) {
+            // Nothing to merge with: adopt the snapshot's sequence as is
+            let last = null;
+            runs.forEach(run => {
+                last = this.tree.insertAfter(last, run);
+                this.indexNode(last);
+                this.unhide(last);
+            });
+        } else {
+            this.hideCollected(runs, snapshot);
+
+            let previousId = null;
+            runs.forEach(run => {
+                this.integrateMissing(run, previousId);
+                if (run.deletedBy.length > 0) {
+                    this.forEachInRange({ siteId: run.siteId, clock: run.clock, length: run.length }, node => {
+                        run.deletedBy.forEach(stamp => this.hide(node, stamp));
+                    });
+                }
+                previousId = run.idAt(run.length - 1);
+            });
+        }
+
+        this.vectorClock.update(snapshot.vectorClock);
+        this.textCache = null;
+        this.notify({ type: 'sync', siteId: snapshot.siteId });
+        return this.getText() !== before;
+    }
+
+    // Learn about undone deletes, bringing back text only they still hid
+    mergeRevived(entries) {
+        let changed = false;
+        entries.forEach(([key, reviver]) => {
+            if (!this.revived.has(key)) {
+                this.revived.set(key, reviver);
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            for (let node = this.tree.first(); node; node = this.tree.next(node)) {
+                if (!node.item.visible) this.unhide(node);
+            }
+        }
+    }
+
+    // Everything we have that a peer with `peerClock` has not seen: the unseen
+    // parts of runs, in document order, and deletions it has not applied.
+    // Each run carries `anchor`, the last visible character before it, in case
+    // its origin was garbage collected on the receiving side.
+    getDelta(peerClock) {
+        const runs = [];
+        const deletes = [];
+        let anchor = null;
+
+        for (const run of this.tree) {
+            const seen = peerClock[run.siteId] || 0;
+            if (run.clock + run.length - 1 > seen) {
+                const offset = Math.max(0, seen + 1 - run.clock);
+                runs.push({
+                    value: run.value.slice(offset),
+                    siteId: run.siteId,
+                    clock: run.clock + offset,
+                    originLeft: offset > 0 ? run.idAt(offset - 1) : run.originLeft,
+                    originRight: run.originRight,
+                    anchor
+                });
+            }
+
+            const unseen = run.deletedBy.filter(stamp => stamp.clock > (peerClock[stamp.siteId] || 0));
+            if (unseen.length > 0) {
+                deletes.push({
+                    siteId: run.siteId,
+                    clock: run.clock,
+                    length: run.length,
+                    deletedBy: unseen
+                });
+            }
+
+            if (run.visible) {
+                anchor = run.idAt(run.length - 1);
+            }
+        }
+
+        const revived = Array.from(this.revived).filter(([, reviver]) =>
+            reviver.clock > (peerClock[reviver.siteId] || 0)
+        );
+
+        return {
+            siteId: this.siteId,
+            vectorClock: this.vectorClock.getCopy(),
+            runs,
+            deletes,
+            revived
+        };
+    }
+
+    // Whether getDelta() can bring a peer up to date. Deletes we have garbage
+    // collected leave no trace, so the peer must already have seen them.
+    canSendDelta(peerClock) {
+        return Object.keys(this.collectedDeletes).every(siteId =>
+            (peerClock[siteId] || 0) >= this.collectedDeletes[siteId]
+        );
+    }
+
+    // Apply a delta from another replica.
+    // Returns true if the visible document changed.
+    applyDelta(delta) {
+        const before = this.getText();
+        this.mergeRevived(delta.revived || []);
+
+        delta.runs.forEach(data => {
+            const run = new CRDTRun(data.value, data.siteId, data.clock, data.originLeft, data.originRight);
+            this.integrateMissing(run, data.anchor);
+        });
+
+        delta.deletes.forEach(range => {
+            this.forEachInRange(range, node => {
+                range.deletedBy.forEach(stamp => this.hide(node, stamp));
+            });
+        });
+
+        this.vectorClock.update(delta.vectorClock);
+        this.textCache = null;
+        this.notify({ type: 'sync', siteId: delta.siteId });
+        return this.getText() !== before;
+    }
+
+    // Integrate the parts of a run we have never seen.
+    // `fallbackId` is a character the sender had before the run, used as the
+    // origin if the real one was already garbage collected here.
+    integrateMissing(run, fallbackId) {
+        const seen = this.vectorClock.clock[run.siteId] || 0;
+        const end = run.clock + run.length;
+        const runs = this.runsBySite.get(run.siteId) || [];
+        let clock = Math.max(run.clock, seen + 1);
+
+        while (clock < end) {
+            const found = this.findNode({ siteId: run.siteId, clock });
+            if (found) {
+                clock = found.node.item.clock + found.node.item.length;
+                continue;
+            }
+
+            const next = runs[this.searchRuns(runs, clock) + 1];
+            const pieceEnd = next ? Math.min(next.item.clock, end) : end;
+            const offset = clock - run.clock;
+            const piece = new CRDTRun(
+                run.value.slice(offset, pieceEnd - run.clock),
+                run.siteId,
+                clock,
+                offset > 0 ? run.idAt(offset - 1) : run.originLeft,
+                run.originRight
+            );
+
+            if (piece.originLeft !== null && !this.hasId(piece.originLeft)) {
+                piece.originLeft = fallbackId && this.hasId(fallbackId) ? fallbackId : null;
+            }
+
+            this.integrate(piece);
+            clock = pieceEnd;
+        }
+    }
+
+    // Hide visible text the snapshot's owner has seen but no longer stores
+    hideCollected(runs, snapshot) {
+        const vectorClock = snapshot.vectorClock;
+
+        // Character ranges present in the snapshot, per site
+        const present = new Map();
+        runs.forEach(run => {
+            if (!present.has(run.siteId)) present.set(run.siteId, []);
+            present.get(run.siteId).push([run.clock, run.clock + run.length]);
+        });
+        present.forEach(ranges => ranges.sort((a, b) => a[0] - b[0]));
+
+        const collected = [];
+        for (const run of this.tree) {
+            if (!run.visible) continue;
+
+            const limit = Math.min(run.clock + run.length, (vectorClock[run.siteId] || 0) + 1);
+            let clock = run.clock;
+            for (const [start, end] of present.get(run.siteId) || []) {
+                if (clock >= limit) break;
+                if (end <= clock) continue;
+                if (start > clock) {
+                    collected.push({ siteId: run.siteId, clock, length: Math.min(start, limit) - clock });
+                }
+                clock = Math.max(clock, end);
+            }
+            if (clock < limit) {
+                collected.push({ siteId: run.siteId, clock, length: limit - clock });
+            }
+        }
+
+        // Treat it as deleted by the owner's latest operation
+        const stamp = { siteId: snapshot.siteId, clock: vectorClock[snapshot.siteId] || 0 };
+        collected.forEach(range => {
+            this.forEachInRange(range, node => {
+                if (node.item.visible) this.hide(node, stamp);
+            });
+        });
     }
 
     // Transform position based on concurrent operations (Operational Transformation)
@@ -231,24 +925,124 @@ class CRDT {
 
         for (const op of operations) {
             if (op.type === 'insert' && op.position <= transformed) {
-                transformed++;
+                transformed += op.length;
             } else if (op.type === 'delete' && op.position < transformed) {
-                transformed--;
+                transformed -= Math.min(op.length, transformed - op.position);
             }
         }
 
         return Math.max(0, transformed);
     }
 
-    // Garbage collection: Remove old tombstones
+    // Garbage collection: Remove tombstones no replica can still refer to
     // This prevents memory leaks in long-running sessions
-    garbageCollect(keepRecent = 1000) {
-        const visibleChars = this.characters.filter(c => c.visible);
-        const recentTombstones = this.characters
-            .filter(c => !c.visible)
-            .slice(-keepRecent);
-        
-        this.characters = [...visibleChars, ...recentTombstones];
+    //
+    // BUG FIX: Collecting arbitrary tombstones (and moving the rest to the end)
+    // reordered the document and broke in-flight ops that referenced them.
+    // `peerClocks` maps every site that may still send operations to the
+    // vector clock it last acknowledged (see SyncEngine.collectGarbage). A
+    // tombstone is removed only when every one of them has seen its
+    // deletion (so nobody will use it as an origin again) and the run after it
+    // is known everywhere too (so concurrent inserts still stop at the same
+    // place). Deletes still inside the undo window are kept so they can be
+    // revived. Tombstones are unlinked in place; nothing else moves.
+    // Returns the number of characters collected.
+    garbageCollect(peerClocks = new Map()) {
+        const local = this.vectorClock.clock;
+
+        // An insert a peer made before it reported its clock may still be on
+        // its way to us; wait until we have caught up with every peer
+        for (const [peerId, clock] of peerClocks) {
+            if ((local[peerId] || 0) < (clock[peerId] || 0)) {
+                return 0;
+            }
+        }
+
+        const isStable = (id) => {
+            if (!id || (local[id.siteId] || 0) < id.clock) return false;
+            for (const clock of peerClocks.values()) {
+                if ((clock[id.siteId] || 0) < id.clock) return false;
+            }
+            return true;
+        };
+
+        // Everyone has seen the delete and its author can no longer undo it
+        const isFinal = (stamp) => isStable(stamp) && local[stamp.siteId] - stamp.clock > this.undoWindow;
+
+        // Walk backwards so we always know the next run that will survive
+        let removed = 0;
+        let survivor = null;
+        let node = this.tree.last();
+
+        while (node) {
+            const previous = this.tree.prev(node);
+            const run = node.item;
+
+            if (!run.visible && run.deletedBy.every(isFinal) &&
+                (!survivor || isStable(survivor.item.idAt(0)))) {
+                this.unindexNode(node);
+                this.tree.remove(node);
+                removed += run.length;
+
+                run.deletedBy.forEach(({ siteId, clock }) => {
+                    this.collectedDeletes[siteId] = Math.max(this.collectedDeletes[siteId] || 0, clock);
+                });
+            } else {
+                survivor = node;
+            }
+
+            node = previous;
+        }
+
+        return removed;
+    }
+
+    // Plain-object form of an operation, for the wire and for storage
+    static serializeOperation(operation) {
+        return {
+            type: operation.type,
+            siteId: operation.siteId,
+            position: operation.position,
+            timestamp: operation.timestamp,
+            previousClock: operation.previousClock,
+            vectorClock: operation.vectorClock,
+            run: operation.run ? {
+                value: operation.run.value,
+                siteId: operation.run.siteId,
+                clock: operation.run.clock,
+                originLeft: operation.run.originLeft,
+                originRight: operation.run.originRight
+            } : undefined,
+            length: operation.length,
+            ranges: operation.ranges,
+            deletes: operation.deletes // Revive only
+        };
+    }
+
+    static deserializeOperation(data) {
+        const operation = {
+            type: data.type,
+            siteId: data.siteId,
+            position: data.position,
+            timestamp: data.timestamp,
+            previousClock: data.previousClock,
+            vectorClock: data.vectorClock,
+            length: data.length,
+            ranges: data.ranges,
+            deletes: data.deletes
+        };
+
+        if (data.run) {
+            operation.run = new CRDTRun(
+                data.run.value,
+                data.run.siteId,
+                data.run.clock,
+                data.run.originLeft,
+                data.run.originRight
+            );
+        }
+
+        return operation;
     }
 
     // Get CRDT state for debugging
@@ -256,9 +1050,10 @@ class CRDT {
         return {
             siteId: this.siteId,
             vectorClock: this.vectorClock.getCopy(),
-            characterCount: this.characters.length,
-            visibleCount: this.characters.filter(c => c.visible).length,
-            tombstoneCount: this.characters.filter(c => !c.visible).length,
+            characterCount: this.tree.size,
+            visibleCount: this.tree.length,
+            tombstoneCount: this.tree.size - this.tree.length,
+            runCount: this.tree.nodeCount,
             operations: this.operationHistory.length
         };
     }
@@ -266,5 +1061,5 @@ class CRDT {
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { CRDT, VectorClock, CRDTCharacter };
+    module.exports = { CRDT, VectorClock, CRDTRun };
 }
@@ -0,0 +1,244 @@
+/**
+ * Document Tree - Balanced sequence index for the CRDT
+ *
+ * Stores the document's characters (including tombstones) in document order
+ * inside a treap. Each node caches how many characters and how many visible
+ * characters live in its subtree, so we can jump to a visible offset or work
+ * out a node's offset in O(log n) instead of scanning the whole document.
+ *
+ * Nodes keep parent pointers: the CRDT looks characters up by ID through a
+ * Map of nodes and then walks upwards to find their position.
+ */
+
+class DocumentTreeNode {
+    constructor(item) {
+        this.item = item;
+        this.left = null;
+        this.right = null;
+        this.parent = null;
+        this.priority = Math.random(); // Heap priority keeps the treap balanced
+        this.size = 0; // Characters in this subtree (including tombstones)
+        this.visibleSize = 0; // Visible characters in this subtree
+        this.recompute();
+    }
+
+    // Characters held by this node alone
+    get length() {
+        return this.item.value.length;
+    }
+
+    get visibleLength() {
+        return this.item.visible ? this.item.value.length : 0;
+    }
+
+    recompute() {
+        this.size = this.length;
+        this.visibleSize = this.visibleLength;
+        if (this.left) {
+            this.size += this.left.size;
+            this.visibleSize += this.left.visibleSize;
+        }
+        if (this.right) {
+            this.size += this.right.size;
+            this.visibleSize += this.right.visibleSize;
+        }
+    }
+}
+
+class DocumentTree {
+    constructor() {
+        this.root = null;
+        this.nodeCount = 0;
+    }
+
+    // Visible characters in the document
+    get length() {
+        return this.root ? this.root.visibleSize : 0;
+    }
+
+    // All characters in the document, tombstones included
+    get size() {
+        return this.root ? this.root.size : 0;
+    }
+
+    first() {
+        return this.root ? this.leftmost(this.root) : null;
+    }
+
+    last() {
+        let node = this.root;
+        while (node && node.right) node = node.right;
+        return node;
+    }
+
+    leftmost(node) {
+        while (node.left) node = node.left;
+        return node;
+    }
+
+    // In-order successor
+    next(node) {
+        if (node.right) return this.leftmost(node.right);
+        while (node.parent && node === node.parent.right) {
+            node = node.parent;
+        }
+        return node.parent;
+    }
+
+    // In-order predecessor
+    prev(node) {
+        if (node.left) {
+            node = node.left;
+            while (node.right) node = node.right;
+            return node;
+        }
+        while (node.parent && node === node.parent.left) {
+            node = node.parent;
+        }
+        return node.parent;
+    }
+
+    // Insert an item directly after `ref` (or at the start when ref is null)
+    insertAfter(ref, item) {
+        const node = new DocumentTreeNode(item);
+
+        if (!this.root) {
+            this.root = node;
+        } else if (ref === null) {
+            const first = this.leftmost(this.root);
+            first.left = node;
+            node.parent = first;
+        } else if (!ref.right) {
+            ref.right = node;
+            node.parent = ref;
+        } else {
+            const successor = this.leftmost(ref.right);
+            successor.left = node;
+            node.parent = successor;
+        }
+
+        this.refresh(node.parent);
+
+        // Restore the heap property; rotations keep subtree totals intact
+        while (node.parent && node.priority > node.parent.priority) {
+            this.rotateUp(node);
+        }
+
+        this.nodeCount++;
+        return node;
+    }
+
+    // Remove a node from the sequence, keeping everything else in order
+    remove(node) {
+        // Rotate the node down until it is a leaf, then detach it
+        while (node.left || node.right) {
+            let child;
+            if (!node.left) child = node.right;
+            else if (!node.right) child = node.left;
+            else child = node.left.priority > node.right.priority ? node.left : node.right;
+            this.rotateUp(child);
+        }
+
+        const parent = node.parent;
+        if (!parent) {
+            this.root = null;
+        } else if (parent.left === node) {
+            parent.left = null;
+        } else {
+            parent.right = null;
+        }
+        node.parent = null;
+
+        this.refresh(parent);
+        this.nodeCount--;
+    }
+
+    // Recompute cached totals from a node up to the root.
+    // Call this after changing an item's length or visibility.
+    refresh(node) {
+        while (node) {
+            node.recompute();
+            node = node.parent;
+        }
+    }
+
+    rotateUp(node) {
+        const parent = node.parent;
+        const grandparent = parent.parent;
+
+        if (node === parent.left) {
+            parent.left = node.right;
+            if (node.right) node.right.parent = parent;
+            node.right = parent;
+        } else {
+            parent.right = node.left;
+            if (node.left) node.left.parent = parent;
+            node.left = parent;
+        }
+
+        parent.parent = node;
+        node.parent = grandparent;
+
+        if (!grandparent) {
+            this.root = node;
+        } else if (grandparent.left === parent) {
+            grandparent.left = node;
+        } else {
+            grandparent.right = node;
+        }
+
+        parent.recompute();
+        node.recompute();
+    }
+
+    // Find the node holding the visible character at `offset`.
+    // Returns { node, offset } with the offset inside that node, or null.
+    findByOffset(offset) {
+        let node = this.root;
+
+        while (node) {
+            const leftVisible = node.left ? node.left.visibleSize : 0;
+            if (offset < leftVisible) {
+                node = node.left;
+                continue;
+            }
+
+            offset -= leftVisible;
+            if (offset < node.visibleLength) {
+                return { node, offset };
+            }
+
+            offset -= node.visibleLength;
+            node = node.right;
+        }
+
+        return null;
+    }
+
+    // Number of visible characters before a node
+    offsetOf(node) {
+        let offset = node.left ? node.left.visibleSize : 0;
+
+        while (node.parent) {
+            if (node === node.parent.right) {
+                const parent = node.parent;
+                offset += (parent.left ? parent.left.visibleSize : 0) + parent.visibleLength;
+            }
+            node = node.parent;
+        }
+
+        return offset;
+    }
+
+    // Iterate items in document order
+    *[Symbol.iterator]() {
+        for (let node = this.first(); node; node = this.next(node)) {
+            yield node.item;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DocumentTree, DocumentTreeNode };
+}
@@ -3,7 +3,7 @@
  * 
  * HARDEST BUGS FIXED:
  * 1. Cursor jump bug: Local cursor jumps to wrong position after remote edits
- *    - Fix: Store cursor as offset from end, restore after remote updates
+ *    - Fix: Shift cursor and selection by the position and length of each remote change
  * 
  * 2. Infinite loop: setText triggers input event, which triggers setText again
  *    - Fix: Flag to prevent recursive updates during programmatic changes
@@ -19,6 +19,7 @@ class EditorController {
         this.syncEngine = syncEngine;
         
         this.isUpdating = false; // Prevent recursive updates
+        this.readOnly = false; // Viewers may look but not edit
         this.localEdits = 0;
         this.remoteEdits = 0;
         
@@ -74,29 +75,25 @@ class EditorController {
             return; // No actual change
         }
 
+        // Whatever got past the read-only textarea (e.g. Tab) is undone
+        if (this.readOnly) {
+            this.setValue(previousText);
+            return;
+        }
+
         // BUG FIX: Calculate diff to determine what changed
         // This is more accurate than relying on input event data
         const changes = this.calculateDiff(previousText, currentText);
         
+        // One replicated operation per change, however many characters it spans
         changes.forEach(change => {
-            if (change.type === 'insert') {
-                for (let i = 0; i < change.text.length; i++) {
-                    const char = change.text[i];
-                    const position = change.position + i;
-                    const operation = this.crdt.localInsert(position, char);
-                    this.syncEngine.sendOperation(operation);
-                    this.localEdits++;
-                }
-            } else if (change.type === 'delete') {
-                // Delete in reverse to maintain correct positions
-                for (let i = change.count - 1; i >= 0; i--) {
-                    const position = change.position + i;
-                    const operation = this.crdt.localDelete(position);
-                    if (operation) {
-                        this.syncEngine.sendOperation(operation);
-                        this.localEdits++;
-                    }
-                }
+            const operation = change.type === 'insert'
+                ? this.crdt.localInsert(change.position, change.text)
+                : this.crdt.localDelete(change.position, change.count);
+
+            if (operation) {
+                this.syncEngine.sendOperation(operation);
+                this.localEdits++;
             }
         });
 
@@ -200,46 +197,16 @@ class EditorController {
 
     // Handle remote operation
     handleRemoteOperation(operation) {
-        // BUG FIX: Save cursor position as offset from end
+        // BUG FIX: Shift cursor and selection by whatever changed before them
         // This prevents cursor from jumping when remote edits happen before cursor
-        const cursorPos = this.textarea.selectionStart;
-        const cursorFromEnd = this.textarea.value.length - cursorPos;
-        const hadSelection = this.textarea.selectionStart !== this.textarea.selectionEnd;
-        const selectionStart = this.textarea.selectionStart;
-        const selectionEnd = this.textarea.selectionEnd;
+        const selectionStart = this.shiftOffset(this.textarea.selectionStart, operation);
+        const selectionEnd = this.shiftOffset(this.textarea.selectionEnd, operation);
 
         // Update textarea with new CRDT state
         this.isUpdating = true;
-        const newText = this.crdt.getText();
-        this.textarea.value = newText;
-        
-        // Restore cursor position
-        // BUG FIX: Adjust cursor based on where the edit happened
-        let newCursorPos = cursorPos;
-        
-        if (operation.type === 'insert') {
-            // If insertion happened before cursor, shift cursor right
-            const visiblePos = this.getVisiblePosition(operation.position);
-            if (visiblePos <= cursorPos) {
-                newCursorPos = cursorPos + 1;
-            }
-        } else if (operation.type === 'delete') {
-            // If deletion happened before cursor, shift cursor left
-            const visiblePos = this.getVisiblePosition(operation.position);
-            if (visiblePos < cursorPos) {
-                newCursorPos = Math.max(0, cursorPos - 1);
-            }
-        }
-
-        // Restore selection or cursor
-        if (hadSelection) {
-            this.textarea.selectionStart = selectionStart;
-            this.textarea.selectionEnd = selectionEnd;
-        } else {
-            this.textarea.selectionStart = newCursorPos;
-            this.textarea.selectionEnd = newCursorPos;
-        }
-
+        this.textarea.value = this.crdt.getText();
+        this.textarea.selectionStart = selectionStart;
+        this.textarea.selectionEnd = selectionEnd;
         this.isUpdating = false;
         
         this.remoteEdits++;
@@ -247,15 +214,33 @@ class EditorController {
         this.updateStats();
     }
 
-    // Get visible position in text (excluding tombstones)
-    getVisiblePosition(crdtPosition) {
-        let visibleCount = 0;
-        for (let i = 0; i <= crdtPosition && i < this.crdt.characters.length; i++) {
-            if (this.crdt.characters[i].visible) {
-                visibleCount++;
-            }
+    // Map a text offset across a remote operation
+    shiftOffset(offset, operation) {
+        if (operation.type === 'sync') {
+            // A merged snapshot or delta can change anything; keep the offset where it is
+            return Math.min(offset, this.crdt.getText().length);
+        }
+
+        if (operation.type === 'insert') {
+            // If insertion happened at or before the offset, shift it right
+            return operation.position <= offset ? offset + operation.run.length : offset;
+        }
+
+        if (operation.type === 'revive') {
+            // Revived text shifts later offsets right, like an insert
+            operation.spans.forEach(span => {
+                if (span.position <= offset) offset += span.length;
+            });
+            return offset;
         }
-        return visibleCount - 1;
+
+        // Deleted spans are reported in the order they were removed
+        (operation.spans || []).forEach(span => {
+            if (span.position < offset) {
+                offset -= Math.min(span.length, offset - span.position);
+            }
+        });
+        return offset;
     }
 
     // Update line numbers
@@ -305,14 +290,69 @@ class EditorController {
     }
 
     // Clear editor
+    // BUG FIX: This used to reset the CRDT locally without telling anyone,
+    // so the clearing tab diverged from its peers for good. It is now a
+    // replicated replace-all like any other edit.
     clear() {
-        this.textarea.value = '';
-        this.crdt.characters = [];
-        this.crdt.operationHistory = [];
-        this.localEdits = 0;
-        this.remoteEdits = 0;
+        this.replaceAll('');
+    }
+
+    // Replace the whole document for everyone in the room
+    replaceAll(text) {
+        if (this.readOnly) return [];
+        const operations = this.crdt.localReplaceAll(text);
+        this.applyLocalOperations(operations, 0);
+        return operations;
+    }
+
+    // Change the document to `text` with the smallest replicated edit, so
+    // text that stays the same keeps its identity (and authorship)
+    setText(text) {
+        if (this.readOnly) return [];
+        const changes = this.calculateDiff(this.crdt.getText(), text);
+        const operations = changes
+            .map(change => change.type === 'insert'
+                ? this.crdt.localInsert(change.position, change.text)
+                : this.crdt.localDelete(change.position, change.count))
+            .filter(operation => operation !== null);
+
+        this.applyLocalOperations(operations, changes.length > 0 ? changes[0].position : undefined);
+        return operations;
+    }
+
+    // Broadcast operations made directly on the CRDT (replace all, undo,
+    // redo) and show the result. Without a caret position the caret goes to
+    // the last change.
+    applyLocalOperations(operations, caret) {
+        operations.forEach(operation => {
+            this.syncEngine.sendOperation(operation);
+            this.localEdits++;
+        });
+
+        if (caret === undefined) {
+            caret = this.textarea.selectionStart;
+            operations.forEach(operation => {
+                const spans = operation.spans || [];
+                const span = spans[spans.length - 1];
+                if (span) {
+                    caret = operation.type === 'revive' ? span.position + span.length : span.position;
+                }
+            });
+        }
+
+        this.isUpdating = true;
+        this.textarea.value = this.crdt.getText();
+        this.textarea.selectionStart = this.textarea.selectionEnd = Math.min(caret, this.textarea.value.length);
+        this.isUpdating = false;
+
         this.updateLineNumbers();
         this.updateStats();
+        this.updateCursorPosition();
+    }
+
+    setReadOnly(readOnly) {
+        this.readOnly = readOnly;
+        this.textarea.readOnly = readOnly;
     }
 
     // Get editor value
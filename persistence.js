@@ -0,0 +1,273 @@
+/**
+ * Document Store - Keeps each room's document in IndexedDB
+ *
+ * Object stores:
+ * - documents:  CRDT snapshots (runs, tombstones and vector clock), one per
+ *               room and tab
+ * - operations: an append-only log of every operation applied since the
+ *               last snapshot, local and remote
+ * - versions:   saved versions from the version history (see
+ *               version-history.js)
+ *
+ * Operations are appended as they happen, batched into one transaction per
+ * tick, so a refresh or crash loses nothing that reached the editor. Once the
+ * log grows (or after merging a peer's snapshot or delta) it is compacted:
+ * the current snapshot is written and the operations it covers are dropped.
+ *
+ * On load the app restores the room from here before it connects to anyone.
+ *
+ * HARDEST BUGS FIXED:
+ * 1. Two tabs of the same room compacting over each other's snapshot
+ *    - Fix: Snapshots are stored per tab and merged on restore; a tab only
+ *      deletes snapshots and log entries its own snapshot already covers
+ * 2. Replaying logged inserts after a snapshot resurrected collected text
+ *    - Fix: Skip any logged operation the restored vector clock covers
+ */
+
+class DocumentStore {
+    constructor(room, siteId, dbName = 'collabcode') {
+        this.room = room;
+        this.siteId = siteId;
+        this.dbName = dbName;
+        this.dbPromise = null;
+        this.crdt = null;
+
+        this.queue = []; // Operations waiting for this tick's write
+        this.flushTimer = null;
+        this.compactTimer = null;
+        this.opsSinceSnapshot = 0;
+        this.compactEvery = 200; // Logged operations before writing a snapshot
+        this.available = typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 2);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('documents')) {
+                        const documents = db.createObjectStore('documents', { keyPath: 'key' });
+                        documents.createIndex('room', 'room');
+                        const operations = db.createObjectStore('operations', { keyPath: 'id', autoIncrement: true });
+                        operations.createIndex('room', 'room');
+                    }
+                    if (!db.objectStoreNames.contains('versions')) {
+                        const versions = db.createObjectStore('versions', { keyPath: 'id' });
+                        versions.createIndex('room', 'room');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Load the room into a fresh CRDT and start recording its changes.
+    // Resolves to true if there was anything stored for the room.
+    async restore(crdt) {
+        this.crdt = crdt;
+        if (!this.available) return false;
+
+        let restored = false;
+        try {
+            const db = await this.open();
+            const tx = db.transaction(['documents', 'operations'], 'readonly');
+            const [documents, entries] = await Promise.all([
+                DocumentStore.request(tx.objectStore('documents').index('room').getAll(this.room)),
+                DocumentStore.request(tx.objectStore('operations').index('room').getAll(this.room))
+            ]);
+
+            documents.forEach(doc => crdt.mergeSnapshot(doc.snapshot));
+
+            // Logged operations are in the order this room's tabs applied
+            // them, so their causal dependencies come first
+            entries.sort((a, b) => a.id - b.id).forEach(entry => {
+                const problem = Protocol.validateOperation(entry.operation);
+                if (problem) {
+                    console.warn('Skipping malformed logged operation:', problem);
+                    return;
+                }
+                const operation = CRDT.deserializeOperation(entry.operation);
+                if ((crdt.vectorClock.clock[operation.siteId] || 0) >= operation.vectorClock[operation.siteId]) {
+                    return; // Already in a snapshot
+                }
+                if (operation.type === 'insert') {
+                    crdt.remoteInsert(operation);
+                } else if (operation.type === 'delete') {
+                    crdt.remoteDelete(operation);
+                } else if (operation.type === 'revive') {
+                    crdt.remoteRevive(operation);
+                }
+            });
+
+            this.opsSinceSnapshot = entries.length;
+            restored = documents.length > 0 || entries.length > 0;
+        } catch (error) {
+            console.warn('Could not restore document from IndexedDB:', error);
+            this.available = false;
+            return false;
+        }
+
+        crdt.subscribe(operation => this.record(operation));
+        if (restored) this.scheduleCompaction();
+        return restored;
+    }
+
+    // Called for every change applied to the CRDT
+    record(operation) {
+        if (operation.type === 'sync') {
+            // Merged state has no single operation to log
+            this.scheduleCompaction();
+            return;
+        }
+
+        this.queue.push({
+            room: this.room,
+            operation: CRDT.serializeOperation(operation),
+            savedAt: Date.now()
+        });
+
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), 0);
+        }
+    }
+
+    // Append everything recorded this tick in one transaction
+    async flush() {
+        this.flushTimer = null;
+        const batch = this.queue;
+        this.queue = [];
+        if (batch.length === 0 || !this.available) return;
+
+        try {
+            const db = await this.open();
+            const tx = db.transaction('operations', 'readwrite');
+            const operations = tx.objectStore('operations');
+            batch.forEach(entry => operations.add(entry));
+            await DocumentStore.done(tx);
+        } catch (error) {
+            console.warn('Could not save operations to IndexedDB:', error);
+            return;
+        }
+
+        this.opsSinceSnapshot += batch.length;
+        if (this.opsSinceSnapshot >= this.compactEvery) {
+            this.compact();
+        }
+    }
+
+    scheduleCompaction() {
+        clearTimeout(this.compactTimer);
+        this.compactTimer = setTimeout(() => this.compact(), 1000);
+    }
+
+    // Write our snapshot and drop what it makes redundant
+    async compact() {
+        clearTimeout(this.compactTimer);
+        if (!this.available || !this.crdt) return;
+
+        // The snapshot covers everything recorded so far
+        const snapshot = this.crdt.getSnapshot();
+        const clock = snapshot.vectorClock;
+        const covers = (otherClock) => Object.keys(otherClock).every(siteId =>
+            (clock[siteId] || 0) >= otherClock[siteId]
+        );
+        this.queue = [];
+        this.opsSinceSnapshot = 0;
+
+        try {
+            const db = await this.open();
+            const tx = db.transaction(['documents', 'operations'], 'readwrite');
+            const documents = tx.objectStore('documents');
+            const key = `${this.room}:${this.siteId}`;
+
+            documents.index('room').openCursor(this.room).onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                if (cursor.value.key !== key && covers(cursor.value.snapshot.vectorClock)) {
+                    cursor.delete();
+                }
+                cursor.continue();
+            };
+            documents.put({ key, room: this.room, siteId: this.siteId, snapshot, savedAt: Date.now() });
+
+            // Another tab's operations we have not received yet must stay
+            tx.objectStore('operations').index('room').openCursor(this.room).onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                const operation = cursor.value.operation;
+                if ((clock[operation.siteId] || 0) >= operation.vectorClock[operation.siteId]) {
+                    cursor.delete();
+                }
+                cursor.continue();
+            };
+
+            await DocumentStore.done(tx);
+        } catch (error) {
+            console.warn('Could not compact document in IndexedDB:', error);
+        }
+    }
+
+    // Saved versions of this room, in no particular order
+    async loadVersions() {
+        if (!this.available) return [];
+        try {
+            const db = await this.open();
+            const tx = db.transaction('versions', 'readonly');
+            return await DocumentStore.request(tx.objectStore('versions').index('room').getAll(this.room));
+        } catch (error) {
+            console.warn('Could not load versions from IndexedDB:', error);
+            return [];
+        }
+    }
+
+    async saveVersion(version) {
+        await this.writeVersions(store => store.put(Object.assign({ room: this.room }, version)));
+    }
+
+    async deleteVersion(id) {
+        await this.writeVersions(store => store.delete(id));
+    }
+
+    async writeVersions(write) {
+        if (!this.available) return;
+        try {
+            const db = await this.open();
+            const tx = db.transaction('versions', 'readwrite');
+            write(tx.objectStore('versions'));
+            await DocumentStore.done(tx);
+        } catch (error) {
+            console.warn('Could not save version to IndexedDB:', error);
+        }
+    }
+
+    // Write anything still pending (e.g. when the page is closing)
+    save() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flush();
+        }
+    }
+
+    static request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    static done(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DocumentStore };
+}
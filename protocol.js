@@ -0,0 +1,262 @@
+/**
+ * Protocol - The messages SyncEngine exchanges, and how they are checked
+ *
+ * Every message carries the protocol version it was written in
+ * (`protocol: Protocol.VERSION`). Messages from another version are not
+ * half-understood: SyncEngine ignores them and reports the peer once, so the
+ * app can ask someone to reload. Changing the shape of any message or
+ * operation means bumping the version.
+ *
+ * Messages of the current version are checked field by field before
+ * SyncEngine acts on them, down to every run inside a snapshot, so a
+ * malformed or hostile message (an insert whose value is not a string, a
+ * missing vector clock) is dropped instead of corrupting the CRDT. Fields
+ * nobody reads are allowed, since transports add their own (targetId,
+ * relaySeq, signature).
+ */
+
+class Protocol {
+    // Returns null if the message is well formed, otherwise what is wrong
+    static validateMessage(message) {
+        return Protocol.problem(() => {
+            Protocol.check(Protocol.isObject(message), 'message');
+            Protocol.check(Object.prototype.hasOwnProperty.call(Protocol.messageTypes, message.type), `type ${JSON.stringify(message.type)}`);
+            Protocol.check(Protocol.isSiteId(message.siteId), 'siteId');
+            Protocol.check(typeof message.sessionId === 'string', 'sessionId');
+            Protocol.check(Protocol.isNumber(message.timestamp), 'timestamp');
+            Protocol.check(message.targetId === undefined || typeof message.targetId === 'string', 'targetId');
+            Protocol.messageTypes[message.type](message);
+        });
+    }
+
+    // Same for an operation on its own (e.g. one read back from storage)
+    static validateOperation(operation) {
+        return Protocol.problem(() => Protocol.checkOperation(operation));
+    }
+
+    // Run checks, returning the first thing they found wrong or null
+    static problem(checks) {
+        try {
+            checks();
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    }
+
+    static checkOperation(operation) {
+        Protocol.check(Protocol.isObject(operation), 'operation');
+        Protocol.check(Protocol.isSiteId(operation.siteId), 'operation.siteId');
+        Protocol.check(Protocol.isClockValue(operation.timestamp) && operation.timestamp > 0, 'operation.timestamp');
+        Protocol.check(operation.previousClock === undefined || Protocol.isClockValue(operation.previousClock), 'operation.previousClock');
+        Protocol.check(operation.position === undefined || Protocol.isClockValue(operation.position), 'operation.position');
+        Protocol.check(Protocol.isVectorClock(operation.vectorClock), 'operation.vectorClock');
+
+        if (operation.type === 'insert') {
+            const run = operation.run;
+            Protocol.check(Protocol.isObject(run), 'operation.run');
+            Protocol.check(typeof run.value === 'string' && run.value.length > 0, 'operation.run.value');
+            Protocol.check(run.siteId === operation.siteId && run.clock === operation.timestamp, 'operation.run id');
+            Protocol.check(Protocol.isOrigin(run.originLeft) && Protocol.isOrigin(run.originRight), 'operation.run origins');
+            Protocol.check(operation.length === run.value.length, 'operation.length');
+        } else if (operation.type === 'delete') {
+            Protocol.check(Protocol.isArrayOf(operation.ranges, Protocol.isRange), 'operation.ranges');
+            Protocol.check(Protocol.isClockValue(operation.length), 'operation.length');
+        } else if (operation.type === 'revive') {
+            Protocol.check(Protocol.isArrayOf(operation.deletes, Protocol.isId), 'operation.deletes');
+            Protocol.check(Protocol.isArrayOf(operation.ranges, Protocol.isRange), 'operation.ranges');
+        } else {
+            Protocol.check(false, `operation.type ${JSON.stringify(operation.type)}`);
+        }
+
+        // The sender's clock entry must cover everything the operation added
+        const last = operation.timestamp + (operation.type === 'insert' ? operation.length - 1 : 0);
+        Protocol.check(operation.vectorClock[operation.siteId] >= last, 'operation.vectorClock');
+    }
+
+    static checkDelta(delta) {
+        Protocol.check(Protocol.isObject(delta), 'delta');
+        Protocol.check(Protocol.isSiteId(delta.siteId), 'delta.siteId');
+        Protocol.check(Protocol.isVectorClock(delta.vectorClock), 'delta.vectorClock');
+        Protocol.check(Protocol.isArrayOf(delta.runs, run =>
+            Protocol.isRunData(run) && Protocol.isOrigin(run.anchor)
+        ), 'delta.runs');
+        Protocol.check(Protocol.isArrayOf(delta.deletes, range =>
+            Protocol.isRange(range) && Protocol.isArrayOf(range.deletedBy, Protocol.isId)
+        ), 'delta.deletes');
+        Protocol.check(Protocol.isRevived(delta.revived), 'delta.revived');
+    }
+
+    static checkSnapshot(snapshot) {
+        Protocol.check(Protocol.isObject(snapshot), 'snapshot');
+        Protocol.check(Protocol.isSiteId(snapshot.siteId), 'snapshot.siteId');
+        Protocol.check(Protocol.isVectorClock(snapshot.vectorClock), 'snapshot.vectorClock');
+        Protocol.check(Protocol.isArrayOf(snapshot.runs, run =>
+            Protocol.isRunData(run) && typeof run.visible === 'boolean' &&
+            Protocol.isArrayOf(run.deletedBy, Protocol.isId)
+        ), 'snapshot.runs');
+        Protocol.check(Protocol.isRevived(snapshot.revived), 'snapshot.revived');
+    }
+
+    static check(condition, field) {
+        if (!condition) {
+            throw new Error(`invalid ${field}`);
+        }
+    }
+
+    static isObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+
+    static isNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+
+    static isClockValue(value) {
+        return Number.isSafeInteger(value) && value >= 0;
+    }
+
+    // Site ids become object keys (vector clocks), so nothing like __proto__
+    static isSiteId(value) {
+        return typeof value === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(value) && value !== '__proto__';
+    }
+
+    static isVectorClock(value) {
+        return Protocol.isObject(value) &&
+            Object.keys(value).every(siteId => Protocol.isSiteId(siteId) && Protocol.isClockValue(value[siteId]));
+    }
+
+    // A character id or delete stamp: { siteId, clock }
+    static isId(value) {
+        return Protocol.isObject(value) && Protocol.isSiteId(value.siteId) &&
+            Protocol.isClockValue(value.clock) && value.clock > 0;
+    }
+
+    static isOrigin(value) {
+        return value === null || value === undefined || Protocol.isId(value);
+    }
+
+    // A span of consecutive character ids: { siteId, clock, length }
+    static isRange(value) {
+        return Protocol.isId(value) && Protocol.isClockValue(value.length) && value.length > 0;
+    }
+
+    static isRunData(value) {
+        return Protocol.isId(value) && typeof value.value === 'string' && value.value.length > 0 &&
+            Protocol.isOrigin(value.originLeft) && Protocol.isOrigin(value.originRight);
+    }
+
+    // Undone deletes: [["siteId:clock", reviver stamp], ...]
+    static isRevived(value) {
+        return value === undefined || Protocol.isArrayOf(value, entry =>
+            Array.isArray(entry) && entry.length === 2 &&
+            typeof entry[0] === 'string' && Protocol.isId(entry[1])
+        );
+    }
+
+    static isArrayOf(value, isItem) {
+        return Array.isArray(value) && value.every(item => isItem(item));
+    }
+}
+
+// The wire format's version. Bump it whenever a message changes shape.
+// 2: operations travel in batches (see wire-codec.js)
+// 3: awareness states (see awareness.js)
+// 4: presence lists retired tabs (see SyncEngine.collectGarbage)
+// 5: invites go to the owner in 'invite' messages, not in presence
+// 6: presence no longer lists retired tabs; a site id outlives its tab and
+//    only sends its own operations
+// 7: versions carry their author's key and signature (see VersionHistory)
+Protocol.VERSION = 7;
+
+// Checks for each message type beyond the fields every message has
+Protocol.messageTypes = {
+    presence(message) {
+        Protocol.check(Protocol.isVectorClock(message.vectorClock), 'vectorClock');
+        Protocol.check(message.publicKey === undefined || typeof message.publicKey === 'string', 'publicKey');
+        Protocol.check(message.grant == null || Protocol.isObject(message.grant), 'grant');
+    },
+    cursor(message) {
+        Protocol.check(Protocol.isClockValue(message.position), 'position');
+        Protocol.check(message.selection == null || (Protocol.isObject(message.selection) &&
+            Protocol.isClockValue(message.selection.start) && Protocol.isClockValue(message.selection.end)), 'selection');
+        Protocol.check(Protocol.isVectorClock(message.vectorClock), 'vectorClock');
+    },
+    operation(message) {
+        Protocol.check(typeof message.messageId === 'string', 'messageId');
+        Protocol.check(Protocol.isClockValue(message.seq) && message.seq > 0, 'seq');
+        let operations;
+        try {
+            operations = WireCodec.decodeBatch(message.batch);
+        } catch (error) {
+            Protocol.check(false, `batch (${error.message})`);
+        }
+        Protocol.check(operations.length > 0, 'batch');
+        operations.forEach(operation => Protocol.checkOperation(operation));
+        // Only the author sends its operations, even ones queued by an
+        // earlier tab (see SyncEngine.restoreOutbox), so nobody can edit, or
+        // undo, in someone else's name
+        Protocol.check(operations.every(operation => operation.siteId === message.siteId), 'batch (not the sender\'s operations)');
+    },
+    ack(message) {
+        Protocol.check(typeof message.messageId === 'string', 'messageId');
+        Protocol.check(typeof message.ackId === 'string', 'ackId');
+        Protocol.check(Protocol.isVectorClock(message.vectorClock), 'vectorClock');
+    },
+    nack(message) {
+        Protocol.check(typeof message.messageId === 'string', 'messageId');
+        Protocol.check(Protocol.isArrayOf(message.missing, seq => Protocol.isClockValue(seq) && seq > 0), 'missing');
+        Protocol.check(Protocol.isVectorClock(message.vectorClock), 'vectorClock');
+    },
+    'sync-request'(message) {
+        Protocol.check(typeof message.messageId === 'string', 'messageId');
+        Protocol.check(Protocol.isVectorClock(message.vectorClock), 'vectorClock');
+    },
+    delta(message) {
+        Protocol.check(typeof message.messageId === 'string', 'messageId');
+        Protocol.checkDelta(message.delta);
+    },
+    snapshot(message) {
+        Protocol.check(typeof message.messageId === 'string', 'messageId');
+        Protocol.checkSnapshot(message.snapshot);
+    },
+    role(message) {
+        Protocol.check(typeof message.messageId === 'string', 'messageId');
+        // Signatures are checked by AccessControl
+        Protocol.check(Protocol.isArrayOf(message.grants, grant =>
+            Protocol.isObject(grant) && typeof grant.room === 'string' && typeof grant.role === 'string' &&
+            Protocol.isSiteId(grant.siteId) && Protocol.isNumber(grant.issuedAt) &&
+            typeof grant.signature === 'string'
+        ), 'grants');
+    },
+    invite(message) {
+        Protocol.check(typeof message.messageId === 'string', 'messageId');
+        Protocol.check(Protocol.isObject(message.invite), 'invite'); // Checked by AccessControl
+    },
+    awareness(message) {
+        Protocol.check(typeof message.messageId === 'string', 'messageId');
+        Protocol.check(Protocol.isClockValue(message.clock), 'clock');
+        const state = message.state;
+        Protocol.check(Protocol.isObject(state), 'state');
+        Protocol.check(typeof state.name === 'string' && state.name.length > 0 && state.name.length <= 64, 'state.name');
+        Protocol.check(typeof state.color === 'string' && /^#[0-9a-f]{6}$/i.test(state.color), 'state.color');
+        Protocol.check(['active', 'typing', 'idle'].includes(state.status), 'state.status');
+        Protocol.check(Protocol.isClockValue(state.line) && state.line > 0, 'state.line');
+    },
+    version(message) {
+        Protocol.check(typeof message.messageId === 'string', 'messageId');
+        Protocol.check(Protocol.isArrayOf(message.versions, version =>
+            Protocol.isObject(version) && typeof version.id === 'string' && typeof version.name === 'string' &&
+            typeof version.auto === 'boolean' && typeof version.author === 'string' &&
+            Protocol.isSiteId(version.authorId) && Protocol.isNumber(version.createdAt) &&
+            typeof version.text === 'string' && Protocol.isVectorClock(version.vectorClock) &&
+            (version.publicKey === undefined || typeof version.publicKey === 'string') &&
+            (version.signature === undefined || typeof version.signature === 'string')
+        ), 'versions');
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Protocol };
+}
@@ -0,0 +1,216 @@
+/**
+ * Room Crypto - End-to-end encryption of everything SyncEngine sends
+ *
+ * Every room has a secret that only travels in the share link's URL fragment
+ * (`#key=...`). Browsers never send the fragment to a server, so the relay
+ * and anyone else on the way only ever see ciphertext.
+ *
+ * The room key is derived from the secret with HKDF-SHA-256, salted with the
+ * room id. Each message is encrypted with AES-GCM under a fresh random IV.
+ * The fields transports and the relay route by (type, sender, target,
+ * message id) stay readable but are authenticated as additional data, so
+ * changing any of them, or a single byte of the ciphertext, makes the
+ * message fail to decrypt. Such messages, and plaintext ones, are rejected.
+ *
+ * EncryptedTransport wraps any transport from transports.js with this, so
+ * SyncEngine itself never sees ciphertext.
+ */
+
+class RoomCrypto {
+    constructor(key) {
+        this.key = key; // Non-extractable AES-GCM CryptoKey
+    }
+
+    // A new random room secret, URL-safe
+    static generateSecret() {
+        const bytes = crypto.getRandomValues(new Uint8Array(32));
+        return RoomCrypto.toBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    // Whether a string looks like a secret we generated
+    static isValidSecret(secret) {
+        return typeof secret === 'string' && /^[A-Za-z0-9_-]{43}$/.test(secret);
+    }
+
+    // WebCrypto only exists in secure contexts (HTTPS or localhost)
+    static isSupported() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle;
+    }
+
+    static async fromSecret(secret, room) {
+        if (!RoomCrypto.isSupported()) {
+            throw new Error('WebCrypto is unavailable (the page needs HTTPS or localhost)');
+        }
+
+        const encoder = new TextEncoder();
+        const material = await crypto.subtle.importKey(
+            'raw',
+            RoomCrypto.fromBase64(secret.replace(/-/g, '+').replace(/_/g, '/')),
+            'HKDF',
+            false,
+            ['deriveKey']
+        );
+        const key = await crypto.subtle.deriveKey(
+            {
+                name: 'HKDF',
+                hash: 'SHA-256',
+                salt: encoder.encode(room), // One secret, different rooms: different keys
+                info: encoder.encode('collabcode room key')
+            },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+        return new RoomCrypto(key);
+    }
+
+    // The routing fields, bound to the ciphertext as additional data
+    static header(message) {
+        return {
+            type: message.type,
+            siteId: message.siteId,
+            sessionId: message.sessionId,
+            targetId: message.targetId || 'broadcast',
+            messageId: message.messageId,
+            timestamp: message.timestamp // Unauthenticated; only used to expire stored presence
+        };
+    }
+
+    static additionalData(header) {
+        return new TextEncoder().encode(JSON.stringify([
+            header.type, header.siteId, header.sessionId, header.targetId, header.messageId
+        ]));
+    }
+
+    async seal(message) {
+        const header = RoomCrypto.header(message);
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: RoomCrypto.additionalData(header) },
+            this.key,
+            new TextEncoder().encode(JSON.stringify(message))
+        );
+
+        return Object.assign(header, {
+            iv: RoomCrypto.toBase64(iv),
+            ciphertext: RoomCrypto.toBase64(new Uint8Array(ciphertext))
+        });
+    }
+
+    // Throws if the envelope is not ours, was altered, or is not encrypted
+    async open(envelope) {
+        if (typeof envelope.iv !== 'string' || typeof envelope.ciphertext !== 'string') {
+            throw new Error('Message is not encrypted');
+        }
+
+        const header = RoomCrypto.header(envelope);
+        let plaintext;
+        try {
+            plaintext = await crypto.subtle.decrypt(
+                {
+                    name: 'AES-GCM',
+                    iv: RoomCrypto.fromBase64(envelope.iv),
+                    additionalData: RoomCrypto.additionalData(header)
+                },
+                this.key,
+                RoomCrypto.fromBase64(envelope.ciphertext)
+            );
+        } catch (error) {
+            throw new Error('Message failed to decrypt (wrong room key or tampered)');
+        }
+
+        const message = JSON.parse(new TextDecoder().decode(plaintext));
+
+        // Transports only add a target; anything else must match the header
+        if (message.type !== header.type || message.siteId !== header.siteId ||
+            message.sessionId !== header.sessionId || message.messageId !== header.messageId) {
+            throw new Error('Message header does not match its contents');
+        }
+        message.targetId = header.targetId;
+        return message;
+    }
+
+    static toBase64(bytes) {
+        // In slices: String.fromCharCode(...bytes) overflows the stack on snapshots
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    static fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
+
+// Seals every message before handing it to another transport and opens
+// every message it delivers. Encryption is asynchronous, so both directions
+// go through a promise chain to keep messages in the order they were sent.
+class EncryptedTransport extends Transport {
+    constructor(inner, roomCrypto, onReject) {
+        super();
+        this.inner = inner;
+        this.roomCrypto = roomCrypto;
+        this.onReject = onReject || null; // (senderId, error) for every rejected message
+        this.outgoing = Promise.resolve();
+        this.incoming = Promise.resolve();
+
+        inner.on('peer-join', (peerId) => this.emit('peer-join', peerId));
+        inner.on('peer-leave', (peerId) => this.emit('peer-leave', peerId));
+        inner.on('message', (envelope) => this.receive(envelope));
+    }
+
+    connect(localId) {
+        super.connect(localId);
+        this.inner.connect(localId);
+    }
+
+    disconnect() {
+        super.disconnect();
+        this.inner.disconnect();
+    }
+
+    send(peerId, message) {
+        this.sealThen({ ...message, targetId: peerId }, envelope => this.inner.send(peerId, envelope));
+    }
+
+    broadcast(message) {
+        this.sealThen(
+            { ...message, targetId: message.targetId || 'broadcast' },
+            envelope => this.inner.broadcast(envelope)
+        );
+    }
+
+    sealThen(message, deliver) {
+        this.outgoing = this.outgoing
+            .then(() => this.roomCrypto.seal(message))
+            .then(deliver)
+            .catch(error => console.error('Could not encrypt message:', error));
+    }
+
+    receive(envelope) {
+        this.incoming = this.incoming
+            .then(() => this.roomCrypto.open(envelope))
+            .then(message => {
+                if (this.accepts(message)) {
+                    this.emit('message', message);
+                }
+            }, error => {
+                console.warn('🔒 Rejected message from', envelope.siteId, '-', error.message);
+                if (this.onReject) this.onReject(envelope.siteId, error);
+            })
+            .catch(error => console.error('Error handling message:', error));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RoomCrypto, EncryptedTransport };
+}
@@ -0,0 +1,436 @@
+/**
+ * Relay Server - Lets peers on different machines share a room
+ *
+ * A small dependency-free Node server (no npm install needed):
+ *
+ *   node server/relay-server.js [port] [--cert cert.pem --key key.pem]
+ *
+ * It serves the editor's static files over HTTP (HTTPS with a certificate)
+ * and accepts WebSocket connections from WebSocketTransport (see
+ * transports.js). Browsers only give pages WebCrypto, which the room's
+ * encryption needs, on HTTPS or localhost, so other machines need the
+ * HTTPS version. Clients are
+ * grouped by session id; every SyncEngine message is forwarded to the other
+ * members of the sender's room, or only to `targetId` when it names a peer.
+ *
+ * The relay never looks inside operations. It only numbers the broadcast ones
+ * (`relaySeq`) and keeps the most recent in a per-room buffer, so a client
+ * that drops off and reconnects is replayed what it missed.
+ *
+ * HARDEST BUGS FIXED:
+ * 1. Reconnecting clients lost edits made while their socket was down
+ *    - Fix: Per-room replay buffer keyed by relaySeq; clients report the
+ *      last relaySeq they saw when rejoining
+ */
+
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_FRAME_SIZE = 16 * 1024 * 1024;
+
+// Message types the relay forwards between peers
+const FORWARDED_TYPES = new Set([
+    'operation', 'ack', 'nack', 'cursor', 'presence',
+    'sync-request', 'delta', 'snapshot',
+    'version', // Version history entries
+    'role', // Role grants from the room owner
+    'invite', // Invites sent to the room owner
+    'awareness', // Names, colours and activity
+    'signal' // WebRTC offers, answers and ICE candidates
+]);
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.json': 'application/json'
+};
+
+// One WebSocket connection (RFC 6455 framing, text frames only)
+class RelayClient {
+    constructor(socket, onMessage, onClose) {
+        this.socket = socket;
+        this.onMessage = onMessage;
+        this.onClose = onClose;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.closed = false;
+
+        // Set once the client sends its join message
+        this.siteId = null;
+        this.room = null;
+        this.joining = false;
+
+        this.pongWaiters = []; // Resolved by the next pong (see ping)
+
+        socket.on('data', (chunk) => this.receive(chunk));
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => this.handleClose());
+    }
+
+    receive(chunk) {
+        if (this.closed) return;
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        let frame;
+        while (!this.closed && (frame = this.readFrame()) !== null) {
+            this.handleFrame(frame);
+        }
+    }
+
+    // Parse one complete frame off the front of the buffer, or return null
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        if (length > MAX_FRAME_SIZE) {
+            this.buffer = Buffer.alloc(0);
+            this.close(1009);
+            return null;
+        }
+
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (buffer.length < offset + length) return null;
+
+        const payload = Buffer.from(buffer.subarray(offset, offset + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= buffer[maskOffset + (i % 4)];
+            }
+        }
+
+        this.buffer = buffer.subarray(offset + length);
+        return { fin, opcode, payload };
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        if (opcode === 0x8) {
+            this.close(1000);
+        } else if (opcode === 0x9) {
+            this.writeFrame(0xa, payload); // Pong
+        } else if (opcode === 0xa) {
+            this.pongWaiters.splice(0).forEach(resolve => resolve(true));
+        } else if (opcode === 0x1 || opcode === 0x0) {
+            // Text frame, possibly split over continuation frames
+            this.fragments.push(payload);
+            if (fin) {
+                const text = Buffer.concat(this.fragments).toString('utf8');
+                this.fragments = [];
+                try {
+                    this.onMessage(this, JSON.parse(text));
+                } catch (error) {
+                    console.warn('Dropping malformed message:', error.message);
+                }
+            }
+        }
+    }
+
+    // Resolves true if the other end answers a ping within `timeout`
+    ping(timeout) {
+        if (this.closed) return Promise.resolve(false);
+
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => resolve(false), timeout);
+            this.pongWaiters.push((alive) => {
+                clearTimeout(timer);
+                resolve(alive);
+            });
+            this.writeFrame(0x9, Buffer.alloc(0));
+        });
+    }
+
+    send(data) {
+        this.writeFrame(0x1, Buffer.from(JSON.stringify(data), 'utf8'));
+    }
+
+    writeFrame(opcode, payload) {
+        if (this.closed) return;
+
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    close(code) {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.writeFrame(0x8, payload);
+        this.socket.end();
+        this.handleClose();
+    }
+
+    handleClose() {
+        if (this.closed) return;
+        this.closed = true;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.pongWaiters.splice(0).forEach(resolve => resolve(false));
+        this.onClose(this);
+    }
+}
+
+class RelayServer {
+    constructor(options = {}) {
+        this.port = options.port || 8787;
+        this.staticRoot = options.staticRoot || path.join(__dirname, '..');
+        this.bufferSize = options.bufferSize || 1000; // Operations kept per room
+        this.roomTTL = options.roomTTL || 10 * 60 * 1000; // Keep empty rooms for replay
+        this.pingTimeout = options.pingTimeout || 5000; // To tell a live connection from a dead one
+
+        this.rooms = new Map(); // sessionId -> { clients, buffer, nextSeq, emptySince }
+        // options.tls ({ cert, key } in PEM) serves HTTPS and wss://
+        this.server = options.tls
+            ? https.createServer(options.tls, (req, res) => this.serveStatic(req, res))
+            : http.createServer((req, res) => this.serveStatic(req, res));
+        this.server.on('upgrade', (req, socket) => this.handleUpgrade(req, socket));
+        this.cleanupTimer = null;
+    }
+
+    start() {
+        return new Promise((resolve) => {
+            this.server.listen(this.port, () => {
+                this.port = this.server.address().port;
+                this.cleanupTimer = setInterval(() => this.cleanupRooms(), 60000);
+                this.cleanupTimer.unref();
+                resolve(this.port);
+            });
+        });
+    }
+
+    stop() {
+        clearInterval(this.cleanupTimer);
+        this.rooms.forEach(room => room.clients.forEach(client => client.close(1001)));
+        return new Promise((resolve) => this.server.close(() => resolve()));
+    }
+
+    // Serve the editor itself so LAN peers only need the relay's address
+    serveStatic(req, res) {
+        let urlPath;
+        try {
+            urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+        } catch (error) {
+            res.writeHead(400); // e.g. a stray % in the path
+            res.end('Bad request');
+            return;
+        }
+        const filePath = path.join(this.staticRoot, urlPath === '/' ? 'index.html' : urlPath);
+
+        // Never serve anything outside the project directory
+        if (!filePath.startsWith(this.staticRoot + path.sep) || filePath.includes(`${path.sep}.`)) {
+            res.writeHead(403);
+            res.end('Forbidden');
+            return;
+        }
+
+        fs.readFile(filePath, (error, data) => {
+            if (error) {
+                res.writeHead(404);
+                res.end('Not found');
+                return;
+            }
+            res.writeHead(200, {
+                'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream'
+            });
+            res.end(data);
+        });
+    }
+
+    handleUpgrade(req, socket) {
+        const key = req.headers['sec-websocket-key'];
+        if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write(
+            'HTTP/1.1 101 Switching Protocols\r\n' +
+            'Upgrade: websocket\r\n' +
+            'Connection: Upgrade\r\n' +
+            `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+        );
+        socket.setNoDelay(true);
+
+        new RelayClient(
+            socket,
+            (client, data) => this.handleMessage(client, data),
+            (client) => this.handleClose(client)
+        );
+    }
+
+    getRoom(sessionId) {
+        if (!this.rooms.has(sessionId)) {
+            this.rooms.set(sessionId, { clients: new Map(), buffer: [], nextSeq: 1, emptySince: null });
+        }
+        return this.rooms.get(sessionId);
+    }
+
+    handleMessage(client, data) {
+        if (data.relay === 'join') {
+            this.handleJoin(client, data);
+            return;
+        }
+
+        // Everything else needs a joined client and a known message type
+        if (!client.room || !FORWARDED_TYPES.has(data.type) || data.siteId !== client.siteId) {
+            return;
+        }
+
+        const room = client.room;
+
+        if (data.targetId && data.targetId !== 'broadcast') {
+            const target = room.clients.get(data.targetId);
+            if (target) target.send(data);
+            return;
+        }
+
+        // Number and remember broadcast operations for replay
+        if (data.type === 'operation') {
+            data.relaySeq = room.nextSeq++;
+            room.buffer.push(data);
+            if (room.buffer.length > this.bufferSize) {
+                room.buffer.shift();
+            }
+        }
+
+        room.clients.forEach((other, siteId) => {
+            if (siteId !== client.siteId) other.send(data);
+        });
+    }
+
+    // { relay: 'join', sessionId, siteId, lastSeq }
+    async handleJoin(client, data) {
+        if (client.room || client.joining || typeof data.sessionId !== 'string' || typeof data.siteId !== 'string') {
+            return;
+        }
+
+        // A tab reconnecting before we noticed its old connection drop takes
+        // over from it, but only once that one fails to answer a ping.
+        // Anyone else claiming a connected site id is turned away.
+        const previous = this.getRoom(data.sessionId).clients.get(data.siteId);
+        if (previous) {
+            client.joining = true;
+            const alive = await previous.ping(this.pingTimeout);
+            client.joining = false;
+
+            const current = this.getRoom(data.sessionId).clients.get(data.siteId);
+            if (client.closed || alive || (current && current !== previous)) {
+                console.warn(`Refusing a second connection for ${data.siteId}`);
+                client.close(1008);
+                return;
+            }
+            previous.room = null; // Replaced below, without a leave and a join
+            previous.close(1000);
+        }
+
+        const room = this.getRoom(data.sessionId);
+        client.siteId = data.siteId;
+        client.room = room;
+        room.emptySince = null;
+
+        client.send({
+            relay: 'welcome',
+            peers: Array.from(room.clients.keys()),
+            lastSeq: room.nextSeq - 1
+        });
+
+        room.clients.forEach(other => other.send({ relay: 'peer-join', siteId: client.siteId }));
+        room.clients.set(client.siteId, client);
+
+        // Replay what a reconnecting client missed
+        if (typeof data.lastSeq === 'number') {
+            room.buffer.forEach(message => {
+                if (message.relaySeq > data.lastSeq && message.siteId !== client.siteId) {
+                    client.send(message);
+                }
+            });
+        }
+
+        console.log(`👋 ${client.siteId} joined ${data.sessionId} (${room.clients.size} in room)`);
+    }
+
+    handleClose(client) {
+        const room = client.room;
+        if (!room || room.clients.get(client.siteId) !== client) return;
+
+        room.clients.delete(client.siteId);
+        client.room = null;
+        room.clients.forEach(other => other.send({ relay: 'peer-leave', siteId: client.siteId }));
+
+        if (room.clients.size === 0) {
+            room.emptySince = Date.now();
+        }
+    }
+
+    // Forget rooms nobody has been in for a while
+    cleanupRooms() {
+        const now = Date.now();
+        this.rooms.forEach((room, sessionId) => {
+            if (room.emptySince && now - room.emptySince > this.roomTTL) {
+                this.rooms.delete(sessionId);
+            }
+        });
+    }
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name) => {
+        const index = args.indexOf(name);
+        return index === -1 ? null : args.splice(index, 2)[1];
+    };
+    const cert = option('--cert') || process.env.TLS_CERT;
+    const key = option('--key') || process.env.TLS_KEY;
+    const port = Number(args[0] || process.env.PORT || 8787);
+
+    const tls = cert && key ? { cert: fs.readFileSync(cert), key: fs.readFileSync(key) } : null;
+    const relay = new RelayServer({ port, tls });
+    relay.start().then((actualPort) => {
+        const scheme = tls ? 'https' : 'http';
+        console.log(`CollabCode relay listening on ${scheme}://localhost:${actualPort}`);
+        if (tls) {
+            console.log(`Open https://<this-machine>:${actualPort}/?relay in each browser to share rooms over the LAN`);
+        } else {
+            console.log(`Open http://localhost:${actualPort}/?relay on this machine. Other machines need HTTPS,`);
+            console.log('since browsers only allow the encryption on secure pages: restart with --cert and --key');
+        }
+    });
+}
+
+module.exports = { RelayServer };
@@ -1,100 +1,203 @@
 /**
  * Sync Engine - Handles real-time synchronization between peers
  * 
- * Uses WebRTC for P2P connections (with signaling via Firebase/PeerJS fallback)
- * Since we're on GitHub Pages, we use a public PeerJS server for signaling
+ * Messages travel over a pluggable transport (see transports.js):
+ * BroadcastChannel between tabs, a WebSocket relay across machines, or a
+ * WebRTC DataChannel mesh that signals through either of those
  * 
  * HARDEST BUGS FIXED:
  * 1. Network partition: Operations arrive out of order after reconnection
- *    - Fix: Operation queue with vector clock ordering and replay mechanism
+ *    - Fix: Hold-back queue delivers each operation only after its causal
+ *      dependencies, plus vector clock delta sync to replay what was missed
  * 
  * 2. Message loss: Some operations never arrive at remote peers
  *    - Fix: ACK/NACK protocol with automatic retransmission
  * 
  * 3. Cursor position desync during rapid edits
  *    - Fix: Cursor positions sent with vector clock, transformed on receive
+ *
+ * With access control (see access-control.js) every message is signed by
+ * its sender, and document changes are only accepted from owners and editors.
+ *
+ * Every message carries our protocol version and is validated before we act
+ * on it (see protocol.js); peers on another version are ignored.
+ *
+ * Operations made within one tick travel as a single batch, compactly
+ * encoded (see wire-codec.js), and are acknowledged together.
  */
 
 class SyncEngine {
-    constructor(crdt, onRemoteOperation, onCursorUpdate, onPeerJoin, onPeerLeave) {
+    constructor(crdt, onRemoteOperation, onCursorUpdate, onPeerJoin, onPeerLeave, onDeliveryFailed, transport, sessionId, accessControl) {
         this.crdt = crdt;
         this.onRemoteOperation = onRemoteOperation;
         this.onCursorUpdate = onCursorUpdate;
         this.onPeerJoin = onPeerJoin;
         this.onPeerLeave = onPeerLeave;
+        this.onDeliveryFailed = onDeliveryFailed;
         
-        this.sessionId = this.generateSessionId();
-        this.peers = new Map(); // peerId -> connection info
+        this.sessionId = sessionId || SyncEngine.generateSessionId(); // The room we collaborate in
+        this.peers = new Map(); // peerId -> { siteId, sessionId, vectorClock, lastSeen }
+        this.departedPeers = new Map(); // peerId -> last vector clock of an editor that left
         this.operationQueue = []; // Pending operations to send
         this.receivedOperations = new Set(); // Track received op IDs to prevent duplicates
         this.pendingAcks = new Map(); // operationId -> retry info
+
+        // Reliability: every operation carries a per-sender sequence number so
+        // receivers can spot gaps, and is retransmitted until each peer ACKs it
+        this.sequenceNumber = 0;
+        this.sentBySequence = new Map(); // seq -> messageId still awaiting ACKs
+        this.peerSequences = new Map(); // peerId -> { contiguous, highest, received }
+        this.retransmitDelay = 1000; // Doubles after every retry
+
+        // Remote operations whose causal dependencies have not arrived yet
+        this.holdBackQueue = []; // { operation, receivedAt }
+        this.maxHoldBack = 1000;
+        this.holdBackStats = { held: 0, delivered: 0, discarded: 0, maxWaiting: 0 };
         
-        // For demo purposes, we'll simulate P2P with localStorage
-        // In production, you'd use PeerJS or WebRTC with a signaling server
-        this.useSimulatedNetwork = true;
-        this.simulatedPeers = new Map();
+        // How messages reach other peers (see transports.js). Defaults to
+        // a BroadcastChannel between tabs of the same browser.
+        this.transport = transport || Transport.createDefault();
         
         this.latency = 0; // Simulated network latency
         this.isOnline = true;
+
+        // Operations made while offline, persisted so a crash or reload does
+        // not lose them. Flushed when we come back online.
+        this.outbox = [];
+        this.outboxKey = SyncEngine.outboxKey(this.sessionId, this.crdt.siteId);
+
+        // Operations made this tick, sent together as one batch
+        this.batch = [];
+        this.batchTimer = null;
+        this.binaryFrames = false; // Encode batches as binary (see wire-codec.js)
+
+        // Other subsystems' messages (e.g. version history): type -> handler
+        this.messageHandlers = new Map();
+
+        // Roles and message signatures; null lets everyone edit
+        this.accessControl = accessControl || null;
+        this.writeTypes = new Set(['operation', 'delta', 'snapshot', 'version']); // Need an editor
+        this.outgoing = Promise.resolve(); // Signing and verifying are asynchronous;
+        this.incoming = Promise.resolve(); // these chains keep messages in order
+
+        // Peers running a release with another protocol version (see protocol.js)
+        this.incompatiblePeers = new Set();
+        this.onIncompatiblePeer = null; // (peerId, version), once per peer
+
+        this.timers = []; // Intervals started in setupNetworkListeners, cleared by destroy
+
+        // Garbage collection waits for every site that may still send
+        // operations, but not forever: one silent this long (a crashed tab,
+        // a laptop that never came back) stops holding it back
+        this.lastHeard = new Map(); // siteId -> last presence, or when we first noticed it
+        this.forgetSitesAfter = 60 * 60 * 1000;
         
         this.setupNetworkListeners();
+        this.restoreOutbox();
     }
 
-    generateSessionId() {
+    static generateSessionId() {
         return Math.random().toString(36).substring(2, 10).toUpperCase();
     }
 
     // Setup network event listeners
     setupNetworkListeners() {
-        if (this.useSimulatedNetwork) {
-            // Simulate network with localStorage events
-            window.addEventListener('storage', (e) => {
-                if (e.key && e.key.startsWith('collab-')) {
-                    this.handleStorageMessage(e);
-                }
-            });
+        this.transport.on('message', (message) => this.handleMessage(message));
 
-            // Broadcast presence
-            this.broadcastPresence();
-            setInterval(() => this.broadcastPresence(), 5000);
+        // Introduce ourselves to anyone new; the join handshake itself runs
+        // when their presence (with its vector clock) arrives
+        this.transport.on('peer-join', () => this.broadcastPresence());
+        this.transport.on('peer-leave', (peerId) => this.removePeer(peerId));
 
-            // Check for stale peers
-            setInterval(() => this.checkStalePeers(), 10000);
-        }
+        this.transport.connect(this.crdt.siteId);
+
+        // Broadcast presence
+        this.broadcastPresence();
+        this.timers.push(setInterval(() => this.broadcastPresence(), 5000));
+
+        // Check for stale peers
+        this.timers.push(setInterval(() => this.checkStalePeers(), 10000));
+
+        // Drop tombstones every peer is done with
+        this.timers.push(setInterval(() => this.collectGarbage(), 10000));
+
+        // Ask for missing dependencies of long-held operations
+        this.timers.push(setInterval(() => this.checkHoldBackQueue(), 5000));
+
+        // Retransmit operations peers have not acknowledged
+        this.timers.push(setInterval(() => this.retransmitPending(), 500));
+
+        // Keep our outbox marked as owned while it has anything in it
+        this.timers.push(setInterval(() => {
+            if (this.outbox.length > 0) this.saveOutbox();
+        }, 5000));
     }
 
-    // Broadcast our presence to other tabs/windows
+    // Broadcast our presence (and how far our document has got) to all peers
     broadcastPresence() {
-        const presence = {
+        this.transmit({
             type: 'presence',
             siteId: this.crdt.siteId,
             sessionId: this.sessionId,
-            timestamp: Date.now()
-        };
+            vectorClock: this.crdt.vectorClock.getCopy(),
+            timestamp: Date.now(),
+            // Our public key and grants, so peers can verify us
+            ...(this.accessControl ? this.accessControl.credentials() : {})
+        });
+    }
 
-        localStorage.setItem(`collab-presence-${this.crdt.siteId}`, JSON.stringify(presence));
-        
-        // Clean up old presence entries
-        this.cleanupPresence();
+    // Track a peer from its presence heartbeat
+    handlePresence(presence) {
+        const peerId = presence.siteId;
+        this.lastHeard.set(peerId, Date.now());
+
+        if (!this.peers.has(peerId)) {
+            // New peer joined
+            this.departedPeers.delete(peerId);
+            this.peers.set(peerId, {
+                siteId: peerId,
+                sessionId: presence.sessionId,
+                vectorClock: presence.vectorClock || {},
+                lastSeen: Date.now()
+            });
+            
+            if (this.onPeerJoin) {
+                this.onPeerJoin(peerId);
+            }
+            
+            // Log peer join
+            console.log('🟢 Peer joined:', peerId);
+
+            // Join handshake: announce ourselves right away so the
+            // newcomer learns about us, and hand it whatever its
+            // clock shows it is missing
+            this.broadcastPresence();
+            this.sendRoles(peerId);
+            this.sendSync(peerId, presence.vectorClock || {});
+            this.flushOutbox();
+        } else {
+            // Update last seen and what the peer has applied so far
+            const peer = this.peers.get(peerId);
+            peer.lastSeen = Date.now();
+            this.updatePeerClock(peerId, presence.vectorClock);
+            this.checkPeerBehind(peer, presence.vectorClock || {});
+        }
+
+        this.requestGrant(peerId);
     }
 
-    // Clean up presence entries older than 15 seconds
-    cleanupPresence() {
-        const now = Date.now();
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key && key.startsWith('collab-presence-')) {
-                const data = JSON.parse(localStorage.getItem(key));
-                if (now - data.timestamp > 15000) {
-                    localStorage.removeItem(key);
-                    const peerId = key.replace('collab-presence-', '');
-                    if (this.simulatedPeers.has(peerId)) {
-                        this.simulatedPeers.delete(peerId);
-                        if (this.onPeerLeave) {
-                            this.onPeerLeave(peerId);
-                        }
-                    }
-                }
+    // A peer that left may come back with edits it made offline, so unless
+    // it was removed (or could not edit anyway) garbage collection waits
+    // for it a while (see collectGarbage)
+    removePeer(peerId, forGood = false) {
+        const peer = this.peers.get(peerId);
+        if (this.peers.delete(peerId)) {
+            if (!forGood && (!this.accessControl || this.accessControl.canEdit(peerId))) {
+                this.departedPeers.set(peerId, peer.vectorClock);
+            }
+            this.peerSequences.delete(peerId);
+            if (this.onPeerLeave) {
+                this.onPeerLeave(peerId);
             }
         }
     }
@@ -102,152 +205,405 @@ class SyncEngine {
     // Check for stale peers
     checkStalePeers() {
         const now = Date.now();
-        this.simulatedPeers.forEach((peer, peerId) => {
+        this.peers.forEach((peer, peerId) => {
             if (now - peer.lastSeen > 15000) {
-                this.simulatedPeers.delete(peerId);
-                if (this.onPeerLeave) {
-                    this.onPeerLeave(peerId);
-                }
+                this.removePeer(peerId);
             }
         });
     }
 
-    // Handle incoming localStorage messages
-    handleStorageMessage(e) {
-        // Skip if no key or no new value (deletion events)
-        if (!e.key || !e.newValue) return;
-        
-        try {
-            if (e.key.startsWith('collab-presence-')) {
-                const peerId = e.key.replace('collab-presence-', '');
-                if (peerId !== this.crdt.siteId) {
-                    const presence = JSON.parse(e.newValue);
-                    
-                    if (!this.simulatedPeers.has(peerId)) {
-                        // New peer joined
-                        this.simulatedPeers.set(peerId, {
-                            siteId: peerId,
-                            sessionId: presence.sessionId,
-                            lastSeen: Date.now()
-                        });
-                        
-                        if (this.onPeerJoin) {
-                            this.onPeerJoin(peerId);
-                        }
-                        
-                        // Log peer join
-                        console.log('🟢 Peer joined:', peerId);
-                    } else {
-                        // Update last seen
-                        this.simulatedPeers.get(peerId).lastSeen = Date.now();
-                    }
-                }
-            } else if (e.key.startsWith('collab-op-')) {
-                // Operation message
-                const message = JSON.parse(e.newValue);
-                if (message.targetId === this.crdt.siteId || message.targetId === 'broadcast') {
-                    console.log('📨 Received operation from:', message.siteId);
-                    this.handleMessage(message);
-                }
-            } else if (e.key.startsWith('collab-cursor-')) {
-                // Cursor update
-                const message = JSON.parse(e.newValue);
-                if (message.siteId !== this.crdt.siteId) {
-                    this.handleCursorUpdate(message);
-                }
-            }
-        } catch (error) {
-            console.error('Error handling storage message:', error);
+    // Send operation to all peers, or queue it in the outbox while offline.
+    // Everything sent within one tick goes out as a single batch.
+    sendOperation(operation) {
+        if (!this.isOnline) {
+            this.outbox.push(this.serializeOperation(operation));
+            this.saveOutbox();
+            return;
+        }
+
+        this.batch.push(this.serializeOperation(operation));
+        if (!this.batchTimer) {
+            this.batchTimer = setTimeout(() => this.flushBatch(), 0);
         }
     }
 
-    // Send operation to all peers
-    sendOperation(operation) {
+    // Send this tick's operations as one message
+    flushBatch() {
+        clearTimeout(this.batchTimer);
+        this.batchTimer = null;
+        const operations = this.batch;
+        this.batch = [];
+        if (operations.length === 0) return;
+
+        // We went offline since they were made
+        if (!this.isOnline) {
+            this.outbox.push(...operations);
+            this.saveOutbox();
+            return;
+        }
+
         const message = {
             type: 'operation',
-            operation: this.serializeOperation(operation),
+            batch: WireCodec.encodeBatch(operations, this.binaryFrames),
             siteId: this.crdt.siteId,
             sessionId: this.sessionId,
             targetId: 'broadcast',
+            seq: ++this.sequenceNumber,
+            timestamp: Date.now(),
+            messageId: `${this.crdt.siteId}-${Date.now()}-${Math.random()}`
+        };
+
+        // Add to pending ACKs for reliability: one ACK expected per known peer.
+        // Peers that join later get the operation through the join sync.
+        const awaiting = new Set(this.peers.keys());
+        if (awaiting.size > 0) {
+            this.pendingAcks.set(message.messageId, {
+                message,
+                operations,
+                awaiting,
+                retries: 0,
+                maxRetries: 3,
+                sentAt: Date.now(),
+                nextRetryAt: Date.now() + this.retransmitDelay
+            });
+            this.sentBySequence.set(message.seq, message.messageId);
+        }
+
+        this.transmit(message);
+    }
+
+    // Resend un-ACKed operations with exponential backoff, giving up on a
+    // peer after maxRetries so the UI can report the edit as undelivered
+    retransmitPending() {
+        // Nothing gets through while offline; retry once reconnected
+        if (!this.isOnline) return;
+
+        const now = Date.now();
+
+        this.pendingAcks.forEach((pending, messageId) => {
+            if (now < pending.nextRetryAt) return;
+
+            // Peers that left no longer need it
+            pending.awaiting.forEach(peerId => {
+                if (!this.peers.has(peerId)) {
+                    pending.awaiting.delete(peerId);
+                }
+            });
+
+            if (pending.awaiting.size === 0) {
+                this.forgetPending(messageId);
+                return;
+            }
+
+            if (pending.retries >= pending.maxRetries) {
+                this.forgetPending(messageId);
+                pending.awaiting.forEach(peerId => {
+                    pending.operations.forEach(data => {
+                        const operation = this.deserializeOperation(data);
+                        console.warn('❌ Gave up delivering operation to:', peerId, operation);
+                        if (this.onDeliveryFailed) {
+                            this.onDeliveryFailed(peerId, operation);
+                        }
+                    });
+                });
+                return;
+            }
+
+            pending.retries++;
+            pending.nextRetryAt = now + this.retransmitDelay * Math.pow(2, pending.retries);
+            pending.awaiting.forEach(peerId => this.retransmit(pending.message, peerId));
+        });
+    }
+
+    // Resend one message to a single peer
+    retransmit(message, peerId) {
+        console.log('🔁 Retransmitting', message.seq, 'to:', peerId);
+        this.transmit({ ...message, targetId: peerId, retransmittedAt: Date.now() });
+    }
+
+    forgetPending(messageId) {
+        const pending = this.pendingAcks.get(messageId);
+        if (pending) {
+            this.sentBySequence.delete(pending.message.seq);
+            this.pendingAcks.delete(messageId);
+        }
+    }
+
+    // Track per-peer sequence numbers and NACK any that were skipped
+    trackSequence(peerId, seq) {
+        if (typeof seq !== 'number') return;
+
+        let state = this.peerSequences.get(peerId);
+        if (!state) {
+            // Anything sent before we knew the peer arrives through the join sync
+            state = { contiguous: seq - 1, highest: seq - 1, received: new Set() };
+            this.peerSequences.set(peerId, state);
+        }
+
+        if (seq <= state.contiguous || state.received.has(seq)) return;
+
+        if (seq > state.highest + 1) {
+            const missing = [];
+            for (let s = state.highest + 1; s < seq; s++) {
+                missing.push(s);
+            }
+            this.sendNack(peerId, missing);
+        }
+
+        state.highest = Math.max(state.highest, seq);
+        state.received.add(seq);
+        while (state.received.has(state.contiguous + 1)) {
+            state.contiguous++;
+            state.received.delete(state.contiguous);
+        }
+
+        // Gaps that never fill were repaired by a sync instead; stop waiting
+        if (state.received.size > 100) {
+            state.contiguous = state.highest;
+            state.received.clear();
+        }
+    }
+
+    // Ask a peer to resend operations we never received
+    sendNack(peerId, missing) {
+        console.log('🕳️ Missing operations from', peerId, missing);
+
+        // Too large a gap to patch message by message
+        if (missing.length > 50) {
+            this.requestSync(peerId);
+            return;
+        }
+
+        const message = {
+            type: 'nack',
+            missing,
+            siteId: this.crdt.siteId,
+            sessionId: this.sessionId,
+            targetId: peerId,
+            vectorClock: this.crdt.vectorClock.getCopy(),
             timestamp: Date.now(),
             messageId: `${this.crdt.siteId}-${Date.now()}-${Math.random()}`
         };
 
-        // Add to pending ACKs for reliability
-        this.pendingAcks.set(message.messageId, {
-            message,
-            retries: 0,
-            maxRetries: 3,
-            sentAt: Date.now()
+        this.transmit(message);
+    }
+
+    // Resend what a peer reports missing; fall back to a sync for anything
+    // we no longer hold
+    handleNack(message) {
+        let unknown = false;
+
+        message.missing.forEach(seq => {
+            const pending = this.pendingAcks.get(this.sentBySequence.get(seq));
+            if (pending) {
+                this.retransmit(pending.message, message.siteId);
+            } else {
+                unknown = true;
+            }
+        });
+
+        if (unknown) {
+            this.sendSync(message.siteId, message.vectorClock || {});
+        }
+    }
+
+    // Operations waiting for us to come back online
+    getPendingCount() {
+        return this.outbox.length;
+    }
+
+    saveOutbox() {
+        if (typeof localStorage === 'undefined') return;
+
+        if (this.outbox.length === 0) {
+            localStorage.removeItem(this.outboxKey);
+        } else {
+            localStorage.setItem(this.outboxKey, JSON.stringify({
+                updatedAt: Date.now(),
+                operations: this.outbox
+            }));
+        }
+    }
+
+    // Send everything queued while offline. Peers merge it like any other
+    // remote operation, and our sync request brings back what they did.
+    flushOutbox() {
+        if (this.outbox.length === 0) return;
+
+        console.log(`📤 Flushing ${this.outbox.length} offline operations`);
+        const queued = this.outbox;
+        this.outbox = [];
+        queued.forEach(data => this.sendOperation(this.deserializeOperation(data)));
+        this.saveOutbox();
+    }
+
+    // A tab that closed while offline leaves its outbox behind. The next tab
+    // with the same site id (see SiteIdentity.claim) sends it, so every
+    // operation still arrives from its own author.
+    restoreOutbox() {
+        if (typeof localStorage === 'undefined') return;
+
+        const stored = localStorage.getItem(this.outboxKey);
+        if (stored === null) return;
+
+        const data = SyncEngine.readOutbox(stored);
+        if (!data) {
+            console.warn(`🚫 Removing unreadable ${this.outboxKey}`);
+            localStorage.removeItem(this.outboxKey);
+            return;
+        }
+        data.operations.forEach(operation => {
+            const problem = Protocol.validateOperation(operation);
+            if (problem) {
+                console.warn(`🚫 Dropping malformed operation from ${this.outboxKey}: ${problem}`);
+            } else {
+                this.outbox.push(operation);
+            }
         });
+        console.log(`📥 Restored ${this.outbox.length} unsent operations`);
+
+        // The document saved in IndexedDB may not have them yet. Sending
+        // waits for the first peer.
+        this.outbox.forEach(data => this.receiveOperation(this.deserializeOperation(data)));
+        this.saveOutbox();
+    }
 
-        this.broadcastMessage(message);
+    static outboxKey(sessionId, siteId) {
+        return `collab-outbox-${sessionId}-${siteId}`;
+    }
+
+    // Whether a closed tab left operations for this site id to send
+    static hasOutbox(sessionId, siteId) {
+        return typeof localStorage !== 'undefined' && localStorage.getItem(SyncEngine.outboxKey(sessionId, siteId)) !== null;
+    }
+
+    // A stored outbox, or null if it does not look like one
+    static readOutbox(stored) {
+        let data;
+        try {
+            data = JSON.parse(stored);
+        } catch (error) {
+            return null;
+        }
+        if (!Protocol.isObject(data) || !Protocol.isNumber(data.updatedAt) || !Array.isArray(data.operations)) {
+            return null;
+        }
+        return data;
     }
 
     // Serialize operation for transmission
     serializeOperation(operation) {
-        return {
-            type: operation.type,
-            position: operation.position,
-            timestamp: operation.timestamp,
-            vectorClock: operation.vectorClock,
-            char: operation.char ? {
-                value: operation.char.value,
-                id: operation.char.id,
-                siteId: operation.char.siteId,
-                vectorClock: operation.char.vectorClock,
-                visible: operation.char.visible
-            } : undefined,
-            charId: operation.charId
-        };
+        return CRDT.serializeOperation(operation);
     }
 
     // Deserialize operation
     deserializeOperation(data) {
-        const operation = {
-            type: data.type,
-            position: data.position,
-            timestamp: data.timestamp,
-            vectorClock: data.vectorClock,
-            charId: data.charId
-        };
+        return CRDT.deserializeOperation(data);
+    }
 
-        if (data.char) {
-            operation.char = new CRDTCharacter(
-                data.char.value,
-                data.char.id,
-                data.char.siteId,
-                data.char.vectorClock
-            );
-            operation.char.visible = data.char.visible;
+    // Hand a message to the transport: to one peer if it has a target,
+    // otherwise to everyone. Signed first when we have access control.
+    transmit(message) {
+        message = { ...message, protocol: Protocol.VERSION };
+
+        if (!this.accessControl) {
+            this.deliver(message);
+            return;
         }
 
-        return operation;
+        this.outgoing = this.outgoing
+            .then(() => this.accessControl.signMessage(message))
+            .then(signed => this.deliver(signed))
+            .catch(error => console.error('Could not sign message:', error));
     }
 
-    // Broadcast message to all peers
-    broadcastMessage(message) {
+    deliver(message) {
         // Simulate network latency
         setTimeout(() => {
-            const key = `collab-op-${message.messageId}`;
-            localStorage.setItem(key, JSON.stringify(message));
-            
-            // Clean up after a short delay
-            setTimeout(() => {
-                localStorage.removeItem(key);
-            }, 1000);
+            if (message.targetId && message.targetId !== 'broadcast') {
+                this.transport.send(message.targetId, message);
+            } else {
+                this.transport.broadcast(message);
+            }
         }, this.latency);
     }
 
     // Handle incoming message
     handleMessage(message) {
         // Prevent processing our own messages
-        if (message.siteId === this.crdt.siteId) {
+        if (!Protocol.isObject(message) || message.siteId === this.crdt.siteId) {
+            return;
+        }
+
+        // Rooms are isolated: ignore anything from another session
+        if (message.sessionId !== this.sessionId) {
+            return;
+        }
+
+        // Another release may mean the same fields differently; ignore it
+        // rather than risk diverging
+        if (message.protocol !== Protocol.VERSION) {
+            this.reportIncompatible(message);
+            return;
+        }
+
+        const problem = Protocol.validateMessage(message);
+        if (problem) {
+            console.warn(`🚫 Dropping malformed ${message.type} from ${message.siteId}: ${problem}`);
+            return;
+        }
+
+        if (!this.accessControl) {
+            this.processMessage(message);
+            return;
+        }
+
+        // Unsigned, forged and removed participants' messages are dropped
+        this.incoming = this.incoming
+            .then(() => this.accessControl.verifyMessage(message))
+            .then(valid => {
+                if (valid) this.processMessage(message);
+            })
+            .catch(error => console.error('Error handling message:', error));
+    }
+
+    // Warn once per peer that speaks another protocol version
+    reportIncompatible(message) {
+        const peerId = String(message.siteId);
+        if (this.incompatiblePeers.has(peerId)) return;
+        this.incompatiblePeers.add(peerId);
+
+        console.warn(`⚠️ ${peerId} speaks protocol ${message.protocol}, we speak ${Protocol.VERSION}; ignoring it`);
+        if (this.onIncompatiblePeer) {
+            this.onIncompatiblePeer(peerId, message.protocol);
+        }
+    }
+
+    // Act on a message from a peer we accept
+    processMessage(message) {
+        // Heartbeats and cursors are latest-value messages, never deduplicated
+        if (message.type === 'presence') {
+            this.handlePresence(message);
+            return;
+        }
+        if (message.type === 'cursor') {
+            this.handleCursorUpdate(message);
+            return;
+        }
+
+        // Only owners and editors may change the document. Not marked as
+        // received, so a retransmission after a promotion still gets in.
+        if (this.accessControl && this.writeTypes.has(message.type) && !this.accessControl.canEdit(message.siteId)) {
+            console.warn(`⛔ Ignoring ${message.type} from ${this.accessControl.role(message.siteId)}:`, message.siteId);
             return;
         }
 
         // Prevent duplicate processing
         if (this.receivedOperations.has(message.messageId)) {
+            // A retransmission means our ACK was lost; send it again
+            if (message.type === 'operation') {
+                this.sendAck(message.messageId, message.siteId);
+            }
             return;
         }
         this.receivedOperations.add(message.messageId);
@@ -259,47 +615,440 @@ class SyncEngine {
         }
 
         if (message.type === 'operation') {
-            const operation = this.deserializeOperation(message.operation);
-            
-            // BUG FIX: Apply operations in vector clock order to maintain consistency
-            // If this operation is from the future (based on vector clock), queue it
-            const comparison = this.crdt.vectorClock.compareTo(operation.vectorClock);
-            
-            if (comparison === null || comparison === -1) {
-                // Apply operation
-                if (operation.type === 'insert') {
-                    this.crdt.remoteInsert(operation);
-                } else if (operation.type === 'delete') {
-                    this.crdt.remoteDelete(operation);
+            this.trackSequence(message.siteId, message.seq);
+            WireCodec.decodeBatch(message.batch).forEach(data => {
+                this.receiveOperation(this.deserializeOperation(data));
+            });
+
+            // Send ACK
+            this.sendAck(message.messageId, message.siteId);
+        } else if (message.type === 'sync-request') {
+            this.handleSyncRequest(message);
+        } else if (message.type === 'delta') {
+            this.handleDelta(message);
+        } else if (message.type === 'snapshot') {
+            this.handleSnapshot(message);
+        } else if (message.type === 'nack') {
+            this.handleNack(message);
+        } else if (message.type === 'role') {
+            this.handleRoles(message);
+        } else if (message.type === 'invite') {
+            this.handleInvite(message);
+        } else if (this.messageHandlers.has(message.type)) {
+            this.messageHandlers.get(message.type)(message);
+        } else if (message.type === 'ack') {
+            // Stop waiting on this peer; done once every peer has ACKed
+            const pending = this.pendingAcks.get(message.ackId);
+            if (pending) {
+                pending.awaiting.delete(message.siteId);
+                if (pending.awaiting.size === 0) {
+                    this.forgetPending(message.ackId);
                 }
+            }
+            this.updatePeerClock(message.siteId, message.vectorClock);
+        }
+    }
+
+    // BUG FIX: Deliver operations in causal order. An operation that arrives
+    // before something it depends on (e.g. a delete overtaking the insert of
+    // the text it removes) waits in the hold-back queue.
+    receiveOperation(operation) {
+        if (this.hasApplied(operation)) {
+            // Already covered by an earlier operation, delta or snapshot
+        } else if (this.isCausallyReady(operation)) {
+            this.applyRemoteOperation(operation);
+            this.drainHoldBackQueue();
+        } else {
+            this.holdBack(operation);
+        }
+    }
+
+    // Apply a causally ready remote operation to the CRDT
+    applyRemoteOperation(operation) {
+        let applied = false;
+        if (operation.type === 'insert') {
+            applied = this.crdt.remoteInsert(operation);
+        } else if (operation.type === 'delete') {
+            applied = this.crdt.remoteDelete(operation);
+        } else if (operation.type === 'revive') {
+            applied = this.crdt.remoteRevive(operation);
+        }
+
+        if (applied && this.onRemoteOperation) {
+            this.onRemoteOperation(operation);
+        }
+    }
 
-                if (this.onRemoteOperation) {
-                    this.onRemoteOperation(operation);
+    // Whether we already have everything up to and including this operation
+    hasApplied(operation) {
+        const local = this.crdt.vectorClock.clock;
+        return (local[operation.siteId] || 0) >= operation.vectorClock[operation.siteId];
+    }
+
+    // An operation is ready once we have applied its author's previous op and
+    // everything the author had seen from other sites when it was made
+    isCausallyReady(operation) {
+        const local = this.crdt.vectorClock.clock;
+
+        if ((local[operation.siteId] || 0) < (operation.previousClock || 0)) {
+            return false;
+        }
+
+        for (const site in operation.vectorClock) {
+            if (site !== operation.siteId && operation.vectorClock[site] > (local[site] || 0)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // Park an operation until its dependencies arrive
+    holdBack(operation) {
+        this.holdBackQueue.push({ operation, receivedAt: Date.now() });
+        this.holdBackStats.held++;
+
+        // A peer that is hopelessly behind is better served by a resync
+        if (this.holdBackQueue.length > this.maxHoldBack) {
+            this.holdBackQueue.shift();
+            this.holdBackStats.discarded++;
+            this.requestSync(operation.siteId);
+        }
+
+        this.holdBackStats.maxWaiting = Math.max(this.holdBackStats.maxWaiting, this.holdBackQueue.length);
+        console.log(`⏸️ Holding back ${operation.type} from ${operation.siteId} (${this.holdBackQueue.length} waiting)`);
+    }
+
+    // Deliver every held operation whose dependencies are now satisfied.
+    // Repeats until nothing changes, so chains are applied in causal order.
+    drainHoldBackQueue() {
+        let progress = true;
+
+        while (progress && this.holdBackQueue.length > 0) {
+            progress = false;
+
+            this.holdBackQueue = this.holdBackQueue.filter(({ operation }) => {
+                if (this.hasApplied(operation)) {
+                    this.holdBackStats.discarded++;
+                    return false;
+                }
+                if (this.isCausallyReady(operation)) {
+                    this.applyRemoteOperation(operation);
+                    this.holdBackStats.delivered++;
+                    progress = true;
+                    return false;
                 }
+                return true;
+            });
+        }
+    }
 
-                // Send ACK
-                this.sendAck(message.messageId, message.siteId);
-            } else {
-                // Operation from the past - this shouldn't happen with proper vector clocks
-                console.warn('Received operation from the past:', operation);
+    // If an operation has waited too long its dependency was probably lost;
+    // ask its author to fill the gap
+    checkHoldBackQueue() {
+        const now = Date.now();
+        const stuck = new Set();
+
+        this.holdBackQueue.forEach(({ operation, receivedAt }) => {
+            if (now - receivedAt > 5000) {
+                stuck.add(operation.siteId);
             }
-        } else if (message.type === 'ack') {
-            // Remove from pending ACKs
-            this.pendingAcks.delete(message.ackId);
+        });
+
+        stuck.forEach(siteId => this.requestSync(siteId));
+    }
+
+    // Hold-back queue metrics for the UI and debugging
+    getQueueMetrics() {
+        const oldest = this.holdBackQueue[0];
+        return {
+            waiting: this.holdBackQueue.length,
+            oldestWaitMs: oldest ? Date.now() - oldest.receivedAt : 0,
+            ...this.holdBackStats
+        };
+    }
+
+    // Anti-entropy: if a peer's heartbeat still lacks operations we already
+    // had at its previous heartbeat, they were lost on the way. Resend them.
+    checkPeerBehind(peer, peerClock) {
+        if (peer.expectedClock) {
+            const expected = new VectorClock(this.crdt.siteId);
+            expected.clock = peer.expectedClock;
+            const relation = expected.compareTo(peerClock);
+            if (relation === 1 || relation === null) {
+                console.log('🩹 Peer missed operations, resyncing:', peer.siteId);
+                this.sendSync(peer.siteId, peerClock);
+            }
+        }
+        peer.expectedClock = this.crdt.vectorClock.getCopy();
+    }
+
+    // Ask peers for whatever we are missing by sending our vector clock
+    requestSync(targetId = 'broadcast') {
+        const message = {
+            type: 'sync-request',
+            vectorClock: this.crdt.vectorClock.getCopy(),
+            siteId: this.crdt.siteId,
+            sessionId: this.sessionId,
+            targetId,
+            timestamp: Date.now(),
+            messageId: `${this.crdt.siteId}-${Date.now()}-${Math.random()}`
+        };
+
+        this.transmit(message);
+    }
+
+    // Answer a sync request, and ask back if the requester knows more than us
+    handleSyncRequest(message) {
+        this.updatePeerClock(message.siteId, message.vectorClock);
+        this.sendSync(message.siteId, message.vectorClock);
+
+        const relation = this.crdt.vectorClock.compareTo(message.vectorClock);
+        if (relation === -1 || relation === null) {
+            this.requestSync(message.siteId);
+        }
+    }
+
+    // Send a peer only what its vector clock shows it has not seen.
+    // Falls back to a full snapshot when we garbage collected deletions the
+    // peer never saw, since a delta cannot express those.
+    sendSync(peerId, peerClock) {
+        if (!this.canEdit()) {
+            return; // Peers would drop it; editors answer instead
+        }
+
+        const relation = this.crdt.vectorClock.compareTo(peerClock);
+        if (relation !== 1 && relation !== null) {
+            return; // Nothing they lack
+        }
+
+        if (!this.crdt.canSendDelta(peerClock)) {
+            this.sendSnapshot(peerId);
+            return;
         }
+
+        const message = {
+            type: 'delta',
+            delta: this.crdt.getDelta(peerClock),
+            siteId: this.crdt.siteId,
+            sessionId: this.sessionId,
+            targetId: peerId,
+            timestamp: Date.now(),
+            messageId: `${this.crdt.siteId}-${Date.now()}-${Math.random()}`
+        };
+
+        console.log('🔁 Sending delta to:', peerId);
+        this.transmit(message);
     }
 
-    // Send ACK for received operation
+    // Apply a delta from a peer
+    handleDelta(message) {
+        // A peer that missed deletes we have since garbage collected (one we
+        // stopped waiting for, see collectGarbage) anchors its text to
+        // characters we no longer have. Bring it up to date, then ask again.
+        if (!this.crdt.canSendDelta(message.delta.vectorClock)) {
+            if (this.canEdit()) {
+                this.sendSync(message.siteId, message.delta.vectorClock);
+                this.requestSync(message.siteId);
+            }
+            return;
+        }
+
+        const changed = this.crdt.applyDelta(message.delta);
+        this.updatePeerClock(message.siteId, message.delta.vectorClock);
+        this.drainHoldBackQueue();
+
+        if (changed && this.onRemoteOperation) {
+            this.onRemoteOperation({ type: 'sync', siteId: message.siteId, position: 0 });
+        }
+    }
+
+    // Send a full-state snapshot to one peer
+    sendSnapshot(peerId) {
+        const message = {
+            type: 'snapshot',
+            snapshot: this.crdt.getSnapshot(),
+            siteId: this.crdt.siteId,
+            sessionId: this.sessionId,
+            targetId: peerId,
+            timestamp: Date.now(),
+            messageId: `${this.crdt.siteId}-${Date.now()}-${Math.random()}`
+        };
+
+        console.log('📦 Sending snapshot to:', peerId);
+        this.transmit(message);
+    }
+
+    // Merge a snapshot from a peer into whatever we already have
+    handleSnapshot(message) {
+        const changed = this.crdt.mergeSnapshot(message.snapshot);
+        this.updatePeerClock(message.siteId, message.snapshot.vectorClock);
+        this.drainHoldBackQueue();
+
+        if (changed && this.onRemoteOperation) {
+            this.onRemoteOperation({ type: 'sync', siteId: message.siteId, position: 0 });
+        }
+    }
+
+    // Send ACK for received operation, addressed to its sender only
     sendAck(messageId, targetSiteId) {
+        // BUG FIX: ACKs need their own messageId. Without one every ACK after
+        // the first was dropped as a duplicate of `undefined`.
         const ackMessage = {
             type: 'ack',
             ackId: messageId,
             siteId: this.crdt.siteId,
+            sessionId: this.sessionId,
             targetId: targetSiteId,
-            timestamp: Date.now()
+            vectorClock: this.crdt.vectorClock.getCopy(),
+            timestamp: Date.now(),
+            messageId: `${this.crdt.siteId}-${Date.now()}-${Math.random()}`
         };
 
-        this.broadcastMessage(ackMessage);
+        this.transmit(ackMessage);
+    }
+
+    // Let another subsystem exchange its own messages over our transport.
+    // They share the room filter and deduplication but are not ordered,
+    // acknowledged or queued while offline.
+    onMessage(type, handler) {
+        this.messageHandlers.set(type, handler);
+    }
+
+    sendMessage(type, payload, targetId = 'broadcast') {
+        const message = Object.assign({}, payload, {
+            type,
+            siteId: this.crdt.siteId,
+            sessionId: this.sessionId,
+            targetId,
+            timestamp: Date.now(),
+            messageId: `${this.crdt.siteId}-${Date.now()}-${Math.random()}`
+        });
+
+        if (this.isOnline) {
+            this.transmit(message);
+        }
+    }
+
+    // Whether we may change the document
+    canEdit() {
+        return !this.accessControl || this.accessControl.canEdit(this.crdt.siteId);
+    }
+
+    // Promote, demote or remove a participant (owner only)
+    async grantRole(siteId, role) {
+        const grant = await this.accessControl.grant(siteId, role);
+        this.sendRoles('broadcast', [grant]);
+        if (role === 'removed') {
+            this.removePeer(siteId, true);
+            this.departedPeers.delete(siteId);
+        }
+        return grant;
+    }
+
+    // Grants verify themselves, so anyone can pass on the ones they know
+    sendRoles(targetId = 'broadcast', grants) {
+        if (!this.accessControl) return;
+
+        grants = grants || this.accessControl.getGrants();
+        if (grants.length === 0) return;
+
+        this.transmit({
+            type: 'role',
+            grants,
+            siteId: this.crdt.siteId,
+            sessionId: this.sessionId,
+            targetId,
+            timestamp: Date.now(),
+            messageId: `${this.crdt.siteId}-${Date.now()}-${Math.random()}`
+        });
+    }
+
+    async handleRoles(message) {
+        if (!this.accessControl || !Array.isArray(message.grants)) return;
+
+        for (const grant of message.grants) {
+            if (await this.accessControl.applyGrant(grant) && grant.role === 'removed') {
+                this.removePeer(grant.siteId, true);
+                this.departedPeers.delete(grant.siteId);
+            }
+        }
+    }
+
+    // Trade the invite we joined with for a grant, with the owner's tab
+    // only. Asked again at each of its heartbeats until the grant arrives.
+    requestGrant(peerId) {
+        if (!this.accessControl || !this.accessControl.needsGrant() || this.accessControl.role(peerId) !== 'owner') {
+            return;
+        }
+
+        this.transmit({
+            type: 'invite',
+            invite: this.accessControl.invite,
+            siteId: this.crdt.siteId,
+            sessionId: this.sessionId,
+            targetId: peerId,
+            timestamp: Date.now(),
+            messageId: `${this.crdt.siteId}-${Date.now()}-${Math.random()}`
+        });
+    }
+
+    // As the owner, let in whoever sends a valid invite
+    async handleInvite(message) {
+        if (!this.accessControl || !this.accessControl.isOwner()) return;
+
+        const grant = await this.accessControl.exchangeInvite(message.siteId, message.invite);
+        if (grant) {
+            this.sendRoles('broadcast', [grant]);
+        }
+    }
+
+    // Remember the newest vector clock a peer has acknowledged
+    updatePeerClock(peerId, vectorClock) {
+        const peer = this.peers.get(peerId);
+        if (!peer || !vectorClock) return;
+
+        for (const site in vectorClock) {
+            peer.vectorClock[site] = Math.max(peer.vectorClock[site] || 0, vectorClock[site]);
+        }
+    }
+
+    // Remove tombstones that every site which may still send operations has
+    // seen deleted: connected peers, editors that left (an offline edit of
+    // theirs can refer to text deleted since), and authors we never heard
+    // from, whose clock we do not know at all. Sites silent for longer than
+    // forgetSitesAfter are left out. If one does come back, operations that
+    // refer to collected text are dropped; the sync on reconnect brings it up
+    // to date first and then takes its text as a delta (see handleDelta).
+    collectGarbage() {
+        const now = Date.now();
+        const heardOf = siteId => {
+            if (!this.lastHeard.has(siteId)) this.lastHeard.set(siteId, now);
+            return now - this.lastHeard.get(siteId) <= this.forgetSitesAfter;
+        };
+
+        const peerClocks = new Map();
+        this.departedPeers.forEach((clock, siteId) => {
+            if (heardOf(siteId)) {
+                peerClocks.set(siteId, clock);
+            } else {
+                console.log(`💤 No longer waiting for ${siteId}`);
+                this.departedPeers.delete(siteId);
+            }
+        });
+        this.peers.forEach((peer, peerId) => {
+            peerClocks.set(peerId, peer.vectorClock);
+        });
+        Object.keys(this.crdt.vectorClock.clock).forEach(siteId => {
+            if (siteId !== this.crdt.siteId && !peerClocks.has(siteId) && heardOf(siteId)) {
+                peerClocks.set(siteId, {});
+            }
+        });
+
+        const removed = this.crdt.garbageCollect(peerClocks);
+        if (removed > 0) {
+            console.log(`🧹 Collected ${removed} deleted chars`);
+        }
+        return removed;
     }
 
     // Send cursor position update
@@ -307,14 +1056,14 @@ class SyncEngine {
         const message = {
             type: 'cursor',
             siteId: this.crdt.siteId,
+            sessionId: this.sessionId,
             position,
             selection,
             vectorClock: this.crdt.vectorClock.getCopy(),
             timestamp: Date.now()
         };
 
-        const key = `collab-cursor-${this.crdt.siteId}`;
-        localStorage.setItem(key, JSON.stringify(message));
+        this.transmit(message);
     }
 
     // Handle cursor update from remote peer
@@ -344,9 +1093,9 @@ class SyncEngine {
             // If operation happened after cursor update, adjust position
             if (relation === 1) {
                 if (op.type === 'insert' && op.position <= transformed) {
-                    transformed++;
+                    transformed += op.length;
                 } else if (op.type === 'delete' && op.position < transformed) {
-                    transformed--;
+                    transformed -= Math.min(op.length, transformed - op.position);
                 }
             }
         }
@@ -356,12 +1105,12 @@ class SyncEngine {
 
     // Get connected peer count
     getPeerCount() {
-        return this.simulatedPeers.size;
+        return this.peers.size;
     }
 
     // Get all peers
     getPeers() {
-        return Array.from(this.simulatedPeers.values());
+        return Array.from(this.peers.values());
     }
 
     // Simulate network latency (for testing)
@@ -373,17 +1122,30 @@ class SyncEngine {
     setOnline(online) {
         this.isOnline = online;
         if (!online) {
-            // Clear presence
-            localStorage.removeItem(`collab-presence-${this.crdt.siteId}`);
+            // Leave the network; peers see us go
+            this.transport.disconnect();
         } else {
-            // Rebroadcast presence
+            // Rejoin, send what we did offline and catch up on what we missed
+            this.transport.connect(this.crdt.siteId);
             this.broadcastPresence();
+            this.flushOutbox();
+            this.requestSync();
         }
     }
 
-    // Cleanup
+    // Cleanup. Sending is asynchronous (signing, encryption, latency), so a
+    // batch flushed now would never leave; it goes to the outbox for the next
+    // tab with this site id to send instead.
     destroy() {
-        localStorage.removeItem(`collab-presence-${this.crdt.siteId}`);
+        clearTimeout(this.batchTimer);
+        if (this.batch.length > 0) {
+            this.outbox.push(...this.batch);
+            this.batch = [];
+            this.saveOutbox();
+        }
+        this.timers.forEach(timer => clearInterval(timer));
+        this.timers = [];
+        this.transport.disconnect();
     }
 }
 
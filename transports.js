@@ -0,0 +1,685 @@
+/**
+ * Transports - How SyncEngine messages travel between peers
+ *
+ * SyncEngine only talks to a transport through this small interface, so the
+ * network can be swapped without touching the CRDT or the sync logic:
+ *
+ *   connect(localId)        Join the network as `localId`
+ *   disconnect()            Leave the network; peers see a peer-leave
+ *   send(peerId, message)   Deliver a message to one peer
+ *   broadcast(message)      Deliver a message to every peer
+ *   on(event, handler)      Subscribe to 'message', 'peer-join', 'peer-leave'
+ *
+ * Messages are plain JSON-serialisable objects. A transport never delivers a
+ * peer's own messages back to it, nor messages addressed to someone else.
+ */
+
+class Transport {
+    constructor() {
+        this.localId = null;
+        this.connected = false;
+        this.handlers = { 'message': [], 'peer-join': [], 'peer-leave': [] };
+    }
+
+    on(event, handler) {
+        this.handlers[event].push(handler);
+    }
+
+    emit(event, ...args) {
+        this.handlers[event].forEach(handler => handler(...args));
+    }
+
+    connect(localId) {
+        this.localId = localId;
+        this.connected = true;
+    }
+
+    disconnect() {
+        this.connected = false;
+    }
+
+    send(peerId, message) {
+        throw new Error('Transport.send() not implemented');
+    }
+
+    broadcast(message) {
+        throw new Error('Transport.broadcast() not implemented');
+    }
+
+    // Best transport available in this browser for a room: BroadcastChannel
+    // where it exists, localStorage events otherwise. Each room gets its own
+    // channel or key namespace, so rooms never see each other's traffic.
+    static createDefault(room = 'lobby') {
+        if (typeof BroadcastChannel !== 'undefined') {
+            return new BroadcastChannelTransport(`collab-${room}`);
+        }
+        return new LocalStorageTransport(`collab-${room}-`);
+    }
+
+    // Whether an incoming message is meant for us
+    accepts(message) {
+        if (!message || message.siteId === this.localId) return false;
+        return !message.targetId || message.targetId === 'broadcast' || message.targetId === this.localId;
+    }
+}
+
+// Same-origin transport over a BroadcastChannel. Messages are structured-
+// cloned straight to the other tabs without touching storage, so there is no
+// serialisation, cleanup timer or quota to worry about. Peers find each other
+// with small join/here/leave control messages.
+class BroadcastChannelTransport extends Transport {
+    constructor(channelName = 'collab') {
+        super();
+        this.channelName = channelName;
+        this.channel = null;
+        this.knownPeers = new Set();
+        this.onPageHide = () => this.disconnect();
+    }
+
+    connect(localId) {
+        super.connect(localId);
+        this.channel = new BroadcastChannel(this.channelName);
+        this.channel.onmessage = (e) => this.handleChannelMessage(e.data);
+
+        if (typeof window !== 'undefined') {
+            window.addEventListener('pagehide', this.onPageHide);
+        }
+
+        // Ask who is already here
+        this.post({ control: 'join', siteId: localId });
+    }
+
+    disconnect() {
+        if (!this.channel) return;
+
+        this.post({ control: 'leave', siteId: this.localId });
+        this.channel.close();
+        this.channel = null;
+        super.disconnect();
+
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('pagehide', this.onPageHide);
+        }
+        this.knownPeers.clear();
+    }
+
+    send(peerId, message) {
+        this.post({ ...message, targetId: peerId });
+    }
+
+    broadcast(message) {
+        this.post({ ...message, targetId: message.targetId || 'broadcast' });
+    }
+
+    post(message) {
+        if (this.channel) {
+            this.channel.postMessage(message);
+        }
+    }
+
+    handleChannelMessage(data) {
+        if (!data || data.siteId === this.localId) return;
+
+        if (data.control === 'leave') {
+            if (this.knownPeers.delete(data.siteId)) {
+                this.emit('peer-leave', data.siteId);
+            }
+            return;
+        }
+
+        // Any sign of life from a new tab counts as a join
+        if (!this.knownPeers.has(data.siteId)) {
+            this.knownPeers.add(data.siteId);
+            this.emit('peer-join', data.siteId);
+        }
+
+        if (data.control === 'join') {
+            this.post({ control: 'here', siteId: this.localId });
+        } else if (!data.control && this.accepts(data)) {
+            this.emit('message', data);
+        }
+    }
+}
+
+// Fallback for browsers without BroadcastChannel, using localStorage
+// `storage` events, which fire in every other tab of the origin. Presence
+// and cursor messages overwrite one key per peer; everything else gets a
+// short-lived key of its own.
+class LocalStorageTransport extends Transport {
+    constructor(prefix = 'collab-') {
+        super();
+        this.prefix = prefix;
+        this.knownPeers = new Set();
+        this.onStorage = (e) => this.handleStorageEvent(e);
+    }
+
+    connect(localId) {
+        super.connect(localId);
+        window.addEventListener('storage', this.onStorage);
+
+        // Announce peers that were here before us
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(`${this.prefix}presence-`)) {
+                this.notePeer(key.replace(`${this.prefix}presence-`, ''));
+            }
+        }
+    }
+
+    disconnect() {
+        super.disconnect();
+        window.removeEventListener('storage', this.onStorage);
+        localStorage.removeItem(`${this.prefix}presence-${this.localId}`);
+        localStorage.removeItem(`${this.prefix}cursor-${this.localId}`);
+        this.knownPeers.clear();
+    }
+
+    send(peerId, message) {
+        this.write({ ...message, targetId: peerId });
+    }
+
+    broadcast(message) {
+        this.write({ ...message, targetId: message.targetId || 'broadcast' });
+    }
+
+    write(message) {
+        if (!this.connected) return;
+
+        if (message.type === 'presence' || message.type === 'cursor') {
+            localStorage.setItem(`${this.prefix}${message.type}-${this.localId}`, JSON.stringify(message));
+            if (message.type === 'presence') {
+                this.cleanupPresence();
+            }
+            return;
+        }
+
+        const key = `${this.prefix}op-${message.messageId}`;
+        localStorage.setItem(key, JSON.stringify(message));
+
+        // Clean up after a short delay
+        setTimeout(() => {
+            localStorage.removeItem(key);
+        }, 1000);
+    }
+
+    // Clean up presence entries older than 15 seconds
+    cleanupPresence() {
+        const now = Date.now();
+        for (let i = localStorage.length - 1; i >= 0; i--) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(`${this.prefix}presence-`)) {
+                const data = JSON.parse(localStorage.getItem(key));
+                if (now - data.timestamp > 15000) {
+                    localStorage.removeItem(key);
+                    this.forgetPeer(key.replace(`${this.prefix}presence-`, ''));
+                }
+            }
+        }
+    }
+
+    handleStorageEvent(e) {
+        if (!e.key || !e.key.startsWith(this.prefix)) return;
+
+        try {
+            if (e.key.startsWith(`${this.prefix}presence-`)) {
+                const peerId = e.key.replace(`${this.prefix}presence-`, '');
+                if (peerId === this.localId) return;
+
+                // A removed presence key means the peer left
+                if (!e.newValue) {
+                    this.forgetPeer(peerId);
+                    return;
+                }
+                this.notePeer(peerId);
+            }
+
+            // Skip deletion events for everything else
+            if (!e.newValue) return;
+
+            const message = JSON.parse(e.newValue);
+            if (this.accepts(message)) {
+                this.emit('message', message);
+            }
+        } catch (error) {
+            console.error('Error handling storage message:', error);
+        }
+    }
+
+    notePeer(peerId) {
+        if (peerId !== this.localId && !this.knownPeers.has(peerId)) {
+            this.knownPeers.add(peerId);
+            this.emit('peer-join', peerId);
+        }
+    }
+
+    forgetPeer(peerId) {
+        if (this.knownPeers.delete(peerId)) {
+            this.emit('peer-leave', peerId);
+        }
+    }
+}
+
+// Cross-machine transport through the relay in server/relay-server.js. The
+// relay groups sockets by room and forwards messages; this side keeps the
+// socket open, reconnecting with backoff, and tells the relay the last
+// relaySeq it saw so buffered operations are replayed after a drop.
+class WebSocketTransport extends Transport {
+    constructor(url, room = 'lobby') {
+        super();
+        this.url = url;
+        this.room = room;
+        this.socket = null;
+        this.knownPeers = new Set();
+        this.lastSeq = null; // Newest relaySeq received
+        this.pending = []; // Messages sent while the socket was opening
+        this.reconnectDelay = 1000;
+        this.reconnectTimer = null;
+    }
+
+    connect(localId) {
+        super.connect(localId);
+        this.open();
+    }
+
+    disconnect() {
+        super.disconnect();
+        clearTimeout(this.reconnectTimer);
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+        this.dropPeers();
+    }
+
+    open() {
+        const socket = new WebSocket(this.url);
+        this.socket = socket;
+
+        socket.onopen = () => {
+            this.reconnectDelay = 1000;
+            const join = { relay: 'join', sessionId: this.room, siteId: this.localId };
+            if (this.lastSeq !== null) {
+                join.lastSeq = this.lastSeq;
+            }
+            socket.send(JSON.stringify(join));
+
+            this.pending.forEach(message => socket.send(message));
+            this.pending = [];
+        };
+
+        socket.onmessage = (e) => {
+            try {
+                this.handleRelayMessage(JSON.parse(e.data));
+            } catch (error) {
+                console.error('Error handling relay message:', error);
+            }
+        };
+
+        socket.onclose = () => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+            this.dropPeers();
+
+            // Unexpected drop: try again, backing off up to 30s
+            if (this.connected) {
+                console.warn(`Relay connection lost, retrying in ${this.reconnectDelay}ms`);
+                this.reconnectTimer = setTimeout(() => this.open(), this.reconnectDelay);
+                this.reconnectDelay = Math.min(this.reconnectDelay * 2, 30000);
+            }
+        };
+    }
+
+    send(peerId, message) {
+        this.write({ ...message, targetId: peerId });
+    }
+
+    broadcast(message) {
+        this.write({ ...message, targetId: message.targetId || 'broadcast' });
+    }
+
+    write(message) {
+        if (!this.connected) return;
+
+        const data = JSON.stringify(message);
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(data);
+        } else if (this.pending.length < 1000) {
+            this.pending.push(data);
+        }
+    }
+
+    handleRelayMessage(data) {
+        if (data.relay === 'welcome') {
+            if (this.lastSeq === null) {
+                // Anything older reaches us through the join sync
+                this.lastSeq = data.lastSeq;
+            }
+            data.peers.forEach(peerId => this.notePeer(peerId));
+        } else if (data.relay === 'peer-join') {
+            this.notePeer(data.siteId);
+        } else if (data.relay === 'peer-leave') {
+            if (this.knownPeers.delete(data.siteId)) {
+                this.emit('peer-leave', data.siteId);
+            }
+        } else {
+            if (typeof data.relaySeq === 'number') {
+                this.lastSeq = Math.max(this.lastSeq || 0, data.relaySeq);
+            }
+            if (this.accepts(data)) {
+                this.emit('message', data);
+            }
+        }
+    }
+
+    notePeer(peerId) {
+        if (peerId !== this.localId && !this.knownPeers.has(peerId)) {
+            this.knownPeers.add(peerId);
+            this.emit('peer-join', peerId);
+        }
+    }
+
+    // The socket is gone, so as far as we can tell so is everyone else
+    dropPeers() {
+        this.knownPeers.forEach(peerId => this.emit('peer-leave', peerId));
+        this.knownPeers.clear();
+    }
+}
+
+// Peer-to-peer mesh over RTCDataChannels. Another transport acts as the
+// signaling channel: it reports who is in the room and carries the offer,
+// answer and ICE candidate messages, after which all traffic flows directly
+// between browsers. A BroadcastChannelTransport works for local testing, a
+// WebSocketTransport to the relay across machines.
+class WebRTCTransport extends Transport {
+    constructor(signaling, options = {}) {
+        super();
+        this.signaling = signaling;
+        this.iceServers = options.iceServers || [{ urls: 'stun:stun.l.google.com:19302' }];
+        this.chunkSize = 16 * 1024; // Stay well under every browser's message limit
+        this.connections = new Map(); // peerId -> { pc, channel, open, pendingCandidates, chunks }
+
+        signaling.on('peer-join', (peerId) => this.handleSignalingJoin(peerId));
+        signaling.on('peer-leave', (peerId) => this.handleSignalingLeave(peerId));
+        signaling.on('message', (message) => {
+            if (message.type === 'signal') {
+                this.handleSignal(message);
+            }
+        });
+    }
+
+    connect(localId) {
+        super.connect(localId);
+        this.signaling.connect(localId);
+    }
+
+    disconnect() {
+        super.disconnect();
+        this.connections.forEach((connection, peerId) => this.closeConnection(peerId));
+        this.signaling.disconnect();
+    }
+
+    send(peerId, message) {
+        const connection = this.connections.get(peerId);
+        if (connection) {
+            this.sendOnChannel(connection.channel, { ...message, targetId: peerId });
+        }
+    }
+
+    broadcast(message) {
+        const outgoing = { ...message, targetId: message.targetId || 'broadcast' };
+        this.connections.forEach(connection => this.sendOnChannel(connection.channel, outgoing));
+    }
+
+    // Split large messages (snapshots) into chunks the channel accepts
+    sendOnChannel(channel, message) {
+        if (!this.connected || !channel || channel.readyState !== 'open') return;
+
+        const data = JSON.stringify(message);
+        if (data.length <= this.chunkSize) {
+            channel.send(data);
+            return;
+        }
+
+        const id = `${this.localId}-${Date.now()}-${Math.random()}`;
+        const total = Math.ceil(data.length / this.chunkSize);
+        for (let index = 0; index < total; index++) {
+            channel.send(JSON.stringify({
+                chunk: id,
+                index,
+                total,
+                data: data.slice(index * this.chunkSize, (index + 1) * this.chunkSize)
+            }));
+        }
+    }
+
+    // Exactly one side of each pair makes the offer, so they never collide
+    handleSignalingJoin(peerId) {
+        if (this.connected && !this.connections.has(peerId) && this.localId < peerId) {
+            this.startConnection(peerId);
+        }
+    }
+
+    // An open data channel outlives the signaling connection; only abandon
+    // handshakes that are still in progress
+    handleSignalingLeave(peerId) {
+        const connection = this.connections.get(peerId);
+        if (connection && !connection.open) {
+            this.closeConnection(peerId);
+        }
+    }
+
+    async startConnection(peerId) {
+        const connection = this.createConnection(peerId);
+        this.setupChannel(peerId, connection.pc.createDataChannel('collab', { ordered: true }));
+
+        try {
+            const offer = await connection.pc.createOffer();
+            await connection.pc.setLocalDescription(offer);
+            this.signal(peerId, 'offer', { description: connection.pc.localDescription });
+        } catch (error) {
+            console.error('WebRTC offer failed:', error);
+            this.closeConnection(peerId);
+        }
+    }
+
+    createConnection(peerId) {
+        const pc = new RTCPeerConnection({ iceServers: this.iceServers });
+        const connection = { pc, channel: null, open: false, pendingCandidates: [], chunks: new Map() };
+        this.connections.set(peerId, connection);
+
+        pc.onicecandidate = (e) => {
+            if (e.candidate) {
+                this.signal(peerId, 'candidate', { candidate: e.candidate });
+            }
+        };
+
+        pc.ondatachannel = (e) => this.setupChannel(peerId, e.channel);
+
+        pc.onconnectionstatechange = () => {
+            if (pc.connectionState === 'failed' || pc.connectionState === 'closed') {
+                this.closeConnection(peerId);
+            }
+        };
+
+        return connection;
+    }
+
+    setupChannel(peerId, channel) {
+        const connection = this.connections.get(peerId);
+        if (!connection) return;
+        connection.channel = channel;
+
+        channel.onopen = () => {
+            console.log('🔗 Data channel open to:', peerId);
+            connection.open = true;
+            this.emit('peer-join', peerId);
+        };
+        channel.onclose = () => this.closeConnection(peerId);
+        channel.onmessage = (e) => this.handleChannelMessage(connection, e.data);
+    }
+
+    handleChannelMessage(connection, data) {
+        try {
+            let message = JSON.parse(data);
+
+            if (message.chunk) {
+                const parts = connection.chunks.get(message.chunk) || [];
+                parts[message.index] = message.data;
+                connection.chunks.set(message.chunk, parts);
+
+                if (parts.filter(part => part !== undefined).length < message.total) return;
+                connection.chunks.delete(message.chunk);
+                message = JSON.parse(parts.join(''));
+            }
+
+            if (this.accepts(message)) {
+                this.emit('message', message);
+            }
+        } catch (error) {
+            console.error('Error handling data channel message:', error);
+        }
+    }
+
+    signal(peerId, kind, payload) {
+        this.signaling.send(peerId, {
+            type: 'signal',
+            kind,
+            ...payload,
+            siteId: this.localId,
+            messageId: `${this.localId}-${Date.now()}-${Math.random()}`
+        });
+    }
+
+    async handleSignal(message) {
+        const peerId = message.siteId;
+
+        try {
+            if (message.kind === 'offer') {
+                // A fresh offer replaces whatever we had with this peer
+                this.closeConnection(peerId);
+                const connection = this.createConnection(peerId);
+                await connection.pc.setRemoteDescription(message.description);
+                const answer = await connection.pc.createAnswer();
+                await connection.pc.setLocalDescription(answer);
+                this.signal(peerId, 'answer', { description: connection.pc.localDescription });
+                this.flushCandidates(connection);
+            } else if (message.kind === 'answer') {
+                const connection = this.connections.get(peerId);
+                if (!connection) return;
+                await connection.pc.setRemoteDescription(message.description);
+                this.flushCandidates(connection);
+            } else if (message.kind === 'candidate') {
+                const connection = this.connections.get(peerId);
+                if (!connection) return;
+
+                // Candidates can overtake the description they belong to
+                if (connection.pc.remoteDescription) {
+                    await connection.pc.addIceCandidate(message.candidate);
+                } else {
+                    connection.pendingCandidates.push(message.candidate);
+                }
+            }
+        } catch (error) {
+            console.error('WebRTC signaling failed:', error);
+        }
+    }
+
+    flushCandidates(connection) {
+        connection.pendingCandidates.forEach(candidate => connection.pc.addIceCandidate(candidate));
+        connection.pendingCandidates = [];
+    }
+
+    closeConnection(peerId) {
+        const connection = this.connections.get(peerId);
+        if (!connection) return;
+        this.connections.delete(peerId);
+
+        if (connection.channel) connection.channel.close();
+        connection.pc.close();
+
+        if (connection.open) {
+            this.emit('peer-leave', peerId);
+        }
+    }
+}
+
+// Shared medium for InMemoryTransport: every transport created on the same
+// network can reach the others. Handy for tests and for running several
+// SyncEngines in one page.
+class InMemoryNetwork {
+    constructor() {
+        this.transports = new Map(); // localId -> InMemoryTransport
+        this.latency = 0;
+    }
+
+    join(transport) {
+        this.transports.forEach(peer => {
+            peer.emit('peer-join', transport.localId);
+            transport.emit('peer-join', peer.localId);
+        });
+        this.transports.set(transport.localId, transport);
+    }
+
+    leave(transport) {
+        this.transports.delete(transport.localId);
+        this.transports.forEach(peer => peer.emit('peer-leave', transport.localId));
+    }
+
+    // Deliver a copy, as a real wire would, on a later tick
+    deliver(peerId, message) {
+        const target = this.transports.get(peerId);
+        if (!target) return;
+
+        const copy = JSON.parse(JSON.stringify(message));
+        setTimeout(() => {
+            if (target.connected && target.accepts(copy)) {
+                target.emit('message', copy);
+            }
+        }, this.latency);
+    }
+}
+
+class InMemoryTransport extends Transport {
+    constructor(network) {
+        super();
+        this.network = network;
+    }
+
+    connect(localId) {
+        super.connect(localId);
+        this.network.join(this);
+    }
+
+    disconnect() {
+        super.disconnect();
+        this.network.leave(this);
+    }
+
+    send(peerId, message) {
+        if (!this.connected) return;
+        this.network.deliver(peerId, { ...message, targetId: peerId });
+    }
+
+    broadcast(message) {
+        if (!this.connected) return;
+        const outgoing = { ...message, targetId: message.targetId || 'broadcast' };
+        this.network.transports.forEach((peer, peerId) => {
+            if (peerId !== this.localId) {
+                this.network.deliver(peerId, outgoing);
+            }
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        Transport,
+        BroadcastChannelTransport,
+        LocalStorageTransport,
+        WebSocketTransport,
+        WebRTCTransport,
+        InMemoryNetwork,
+        InMemoryTransport
+    };
+}
@@ -0,0 +1,149 @@
+/**
+ * Undo Manager - Selective undo/redo of the local user's own edits
+ *
+ * Undo never rewinds the document. Each local operation is recorded as its
+ * inverse, addressed by character IDs instead of positions:
+ * - insert -> delete those characters (whatever of them is still visible)
+ * - delete -> revive them: our delete stamp is dropped from the tombstones
+ * - revive -> delete the revived characters again
+ *
+ * An inverse is applied as an ordinary local CRDT operation and broadcast
+ * like typing, so edits peers made in the meantime are left alone and every
+ * replica converges. Undoing a step records the inverses of what the undo
+ * did as the matching redo step (and the other way round).
+ *
+ * HARDEST BUGS FIXED:
+ * 1. Undoing a delete brought back text a peer had deleted concurrently
+ *    - Fix: Tombstones keep every delete stamp; a revive only drops ours
+ */
+
+class UndoManager {
+    constructor(crdt, options = {}) {
+        this.crdt = crdt;
+        this.captureTimeout = options.captureTimeout || 500; // Edits closer than this form one step
+        this.maxSteps = options.maxSteps || 100;
+        this.onChange = options.onChange || null; // Called when either stack changes
+
+        this.undoStack = []; // Steps: arrays of inverses, in the order they were recorded
+        this.redoStack = [];
+        this.capturing = null; // Step receiving inverses while undo/redo runs
+        this.lastEditAt = 0;
+
+        crdt.subscribe(operation => this.record(operation));
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // Called for every change applied to the CRDT; only our own edits count
+    record(operation) {
+        if (operation.siteId !== this.crdt.siteId || operation.type === 'sync') {
+            return;
+        }
+
+        const inverse = this.invert(operation);
+
+        if (this.capturing) {
+            this.capturing.push(inverse);
+            return;
+        }
+
+        const now = Date.now();
+        const step = this.undoStack[this.undoStack.length - 1];
+        if (step && now - this.lastEditAt < this.captureTimeout) {
+            step.push(inverse);
+        } else {
+            this.undoStack.push([inverse]);
+            if (this.undoStack.length > this.maxSteps) {
+                this.undoStack.shift();
+            }
+        }
+
+        this.lastEditAt = now;
+        this.redoStack = [];
+        if (this.onChange) this.onChange();
+    }
+
+    invert(operation) {
+        if (operation.type === 'insert') {
+            const run = operation.run;
+            return { type: 'delete', ranges: [{ siteId: run.siteId, clock: run.clock, length: run.length }] };
+        }
+
+        if (operation.type === 'delete') {
+            return {
+                type: 'revive',
+                deletes: [{ siteId: operation.siteId, clock: operation.timestamp }],
+                ranges: operation.ranges
+            };
+        }
+
+        // revive
+        return { type: 'delete', ranges: operation.ranges };
+    }
+
+    // Undo the most recent step that still changes something.
+    // Returns the operations to broadcast.
+    undo() {
+        return this.applyStep(this.undoStack, this.redoStack);
+    }
+
+    redo() {
+        return this.applyStep(this.redoStack, this.undoStack);
+    }
+
+    // Steps whose text peers have already deleted change nothing visible;
+    // keep going until one does, but broadcast everything applied on the way
+    applyStep(from, to) {
+        const operations = [];
+
+        while (from.length > 0) {
+            const step = from.pop();
+            const inverses = [];
+
+            this.capturing = inverses;
+            // A revive past the undo window comes back as null and is dropped
+            const applied = step.slice().reverse()
+                .map(inverse => this.apply(inverse))
+                .filter(operation => operation !== null);
+            this.capturing = null;
+
+            if (inverses.length > 0) {
+                to.push(inverses);
+            }
+            operations.push(...applied);
+
+            if (applied.some(operation => operation.spans.length > 0)) {
+                break;
+            }
+        }
+
+        // Typing after an undo starts a new step
+        this.lastEditAt = 0;
+        if (this.onChange) this.onChange();
+        return operations;
+    }
+
+    apply(inverse) {
+        if (inverse.type === 'delete') {
+            return this.crdt.localDeleteRanges(inverse.ranges);
+        }
+        return this.crdt.localRevive(inverse.deletes, inverse.ranges);
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        if (this.onChange) this.onChange();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { UndoManager };
+}
@@ -0,0 +1,154 @@
+/**
+ * Version History - Named and automatic snapshots of a room's document
+ *
+ * A version is a copy of the visible text plus the vector clock it was taken
+ * at, with its name, author and time. Versions are saved in IndexedDB (see
+ * persistence.js) and shared with everyone in the room, so the history panel
+ * shows the same list in every tab; new peers are sent the whole list when
+ * they join.
+ *
+ * Whoever is online forwards the list, so a version is only taken from a peer
+ * if its author vouches for it: in rooms with roles it carries the author's
+ * signature (see AccessControl.signVersion), otherwise it must come from the
+ * author itself, and peers only forward their own.
+ *
+ * Versions never change the document by themselves. Restoring one is an
+ * ordinary replicated edit made by whoever restores it (see
+ * EditorController.setText), so collaborators see it, it can be undone, and
+ * edits made concurrently are merged as usual.
+ *
+ * Besides the ones users save by name, a version is taken automatically every
+ * few minutes while this user is editing, and before every restore.
+ */
+
+class VersionHistory {
+    constructor(crdt, syncEngine, store, author, options = {}) {
+        this.crdt = crdt;
+        this.syncEngine = syncEngine;
+        this.store = store;
+        this.author = author; // { name, siteId }
+        this.accessControl = syncEngine.accessControl || null; // Signs and checks versions; null in rooms without roles
+
+        this.autoInterval = options.autoInterval || 5 * 60 * 1000;
+        this.maxAuto = options.maxAuto || 20; // Older automatic versions are dropped
+        this.onChange = options.onChange || null; // (version, fromPeer) when a version is added
+
+        this.versions = new Map(); // id -> version
+        this.editedSinceAuto = false;
+        this.autoTimer = null;
+
+        crdt.subscribe(operation => {
+            if (operation.siteId === crdt.siteId && operation.type !== 'sync') {
+                this.editedSinceAuto = true;
+            }
+        });
+
+        syncEngine.onMessage('version', (message) => this.receive(message));
+    }
+
+    // Load saved versions and start taking automatic ones
+    async load() {
+        const versions = await this.store.loadVersions();
+        versions.forEach(version => this.versions.set(version.id, version));
+        this.pruneAuto();
+
+        this.autoTimer = setInterval(() => this.autoSave(), this.autoInterval);
+        return this.list();
+    }
+
+    // Newest first
+    list() {
+        return Array.from(this.versions.values()).sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    get(id) {
+        return this.versions.get(id) || null;
+    }
+
+    // Save the document as it is now
+    async save(name, auto = false) {
+        let version = {
+            id: `${this.crdt.siteId}-${Date.now()}`,
+            name,
+            auto,
+            author: this.author.name,
+            authorId: this.author.siteId,
+            createdAt: Date.now(),
+            text: this.crdt.getText(),
+            vectorClock: this.crdt.vectorClock.getCopy()
+        };
+        if (this.accessControl) {
+            version = await this.accessControl.signVersion(version);
+        }
+
+        this.add(version, false);
+        this.syncEngine.sendMessage('version', { versions: [version] });
+        return version;
+    }
+
+    // Automatic version, only if we changed something since the last one
+    autoSave() {
+        if (!this.editedSinceAuto) return null;
+
+        const latest = this.list()[0];
+        if (latest && latest.text === this.crdt.getText()) return null;
+
+        this.editedSinceAuto = false;
+        return this.save('Auto-save', true);
+    }
+
+    // Versions from a peer, each checked against its author (see above)
+    async receive(message) {
+        for (const version of message.versions) {
+            const authentic = this.accessControl
+                ? await this.accessControl.verifyVersion(version)
+                : version.authorId === message.siteId;
+            if (authentic) {
+                this.add(version, true);
+            } else {
+                console.warn(`🚫 Ignoring version "${version.name}" from ${message.siteId}: not signed by ${version.authorId}`);
+            }
+        }
+    }
+
+    // Returns false if we already had it
+    add(version, fromPeer) {
+        if (this.versions.has(version.id)) {
+            return false;
+        }
+
+        this.versions.set(version.id, version);
+        this.store.saveVersion(version);
+        this.pruneAuto();
+
+        if (this.onChange) this.onChange(version, fromPeer);
+        return true;
+    }
+
+    pruneAuto() {
+        const auto = this.list().filter(version => version.auto);
+        auto.slice(this.maxAuto).forEach(version => {
+            this.versions.delete(version.id);
+            this.store.deleteVersion(version.id);
+        });
+    }
+
+    // Bring a peer that just joined up to date: with everything we have when
+    // versions are signed, otherwise with our own
+    sendAll(peerId) {
+        const versions = this.accessControl
+            ? this.list()
+            : this.list().filter(version => version.authorId === this.crdt.siteId);
+        if (versions.length === 0) return;
+        this.syncEngine.sendMessage('version', { versions }, peerId);
+    }
+
+    destroy() {
+        clearInterval(this.autoTimer);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VersionHistory };
+}